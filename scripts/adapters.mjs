@@ -0,0 +1,72 @@
+/**
+ * System adapters for the attribute combatants are seeded and compared by
+ * @module adapters
+ */
+
+import { MODULE } from './config.mjs';
+
+/**
+ * How a game system exposes the seeding attribute
+ * @typedef {object} SystemAdapter
+ * @property {string} label - Localization key or display label of the attribute (e.g., 'DEX')
+ * @property {Function} getValue - Function receiving an actor and returning the attribute value
+ */
+
+/**
+ * Adapter used for systems without one of their own, reading a dnd5e-style Dexterity score
+ * @type {SystemAdapter}
+ */
+const DEFAULT_ADAPTER = { label: 'Rollies.Adapters.Dexterity', getValue: (actor) => actor.system?.abilities?.dex?.value };
+
+/**
+ * Registered adapters by game system ID
+ * @type {Map<string, SystemAdapter>}
+ */
+const adapters = new Map([
+  ['dnd5e', DEFAULT_ADAPTER],
+  ['pf1', { label: 'Rollies.Adapters.Dexterity', getValue: (actor) => actor.system?.abilities?.dex?.total }],
+  ['pf2e', { label: 'Rollies.Adapters.DexterityModifier', getValue: (actor) => actor.system?.abilities?.dex?.mod }],
+  ['sfrpg', { label: 'Rollies.Adapters.Dexterity', getValue: (actor) => actor.system?.abilities?.dex?.value }],
+  ['swade', { label: 'Rollies.Adapters.Agility', getValue: (actor) => (actor.system?.attributes?.agility?.die?.sides ?? 0) + (actor.system?.attributes?.agility?.die?.modifier ?? 0) }]
+]);
+
+/**
+ * Register the seeding attribute adapter for a game system, replacing any built-in one
+ * @param {string} systemId - The game system ID (e.g., 'pf2e')
+ * @param {SystemAdapter} adapter - The adapter
+ * @throws {Error} If the adapter has no getValue function
+ */
+export function registerSystemAdapter(systemId, { label, getValue }) {
+  if (typeof getValue !== 'function') throw new Error(`System adapter for ${systemId} must provide a getValue function`);
+  adapters.set(systemId, { label, getValue });
+}
+
+/**
+ * Get the adapter for the current world
+ * A data path in the seeding attribute setting takes precedence over the system's adapter
+ * @returns {SystemAdapter} The adapter to use
+ */
+export function getSystemAdapter() {
+  const path = game.settings.get(MODULE.ID, MODULE.SETTINGS.SEED_ATTRIBUTE_PATH)?.trim();
+  if (path) return { label: game.settings.get(MODULE.ID, MODULE.SETTINGS.SEED_ATTRIBUTE_LABEL)?.trim() || path.split('.').at(-1), getValue: (actor) => foundry.utils.getProperty(actor, path) };
+  return adapters.get(game.system.id) ?? DEFAULT_ADAPTER;
+}
+
+/**
+ * Get a combatant's seeding attribute value
+ * @param {Combatant} combatant - The combatant
+ * @returns {number} The attribute value, or 0 if the combatant has no actor or the value is not a number
+ */
+export function getSeedValue(combatant) {
+  const actor = combatant.actor;
+  if (!actor) return 0;
+  return Number(getSystemAdapter().getValue(actor)) || 0;
+}
+
+/**
+ * Get the localized label of the seeding attribute
+ * @returns {string} The label
+ */
+export function getSeedLabel() {
+  return game.i18n.localize(getSystemAdapter().label);
+}
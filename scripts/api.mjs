@@ -0,0 +1,119 @@
+/**
+ * Public API for driving rolloffs from macros and other modules
+ * Available as `game.modules.get('rollies').api`
+ * @module api
+ */
+
+import { MODULE, isValidFormula } from './config.mjs';
+import { RolloffManager } from './rolloff-manager.mjs';
+import { registerSystemAdapter as registerAdapter } from './adapters.mjs';
+
+/**
+ * Rolloff modes accepted by {@link startRolloff}
+ * @type {Array<string>}
+ */
+const MODES = ['pair', 'bracket', 'elimination'];
+
+/**
+ * Options for starting a rolloff through the API
+ * @typedef {object} StartRolloffOptions
+ * @property {string} [die] - Die to roll (e.g., 'd20'); defaults to the combat's effective rolloff die
+ * @property {string} [formula] - Roll formula (e.g., '1d20 + @abilities.dex.mod'), evaluated against each rolling actor's roll data; defaults to the given die, otherwise the combat's effective rolloff formula
+ * @property {number} [timeout] - Seconds each player has to roll; defaults to the combat's effective rolloff timeout
+ * @property {string} [mode] - 'pair', 'bracket' or 'elimination'; defaults to pair for two combatants, otherwise the 3+ way tie setting
+ * @property {number} [winsNeeded] - Games a combatant must win to take a pair rolloff or bracket match (2 for best of 3); defaults to the match format setting
+ * @property {string} [strategy] - Tie-break strategy ID; defaults to the tie-break strategy setting
+ * @property {boolean} [updateInitiative=true] - Whether to apply the finishing order to combatant initiative, or to the turn order if results are applied as turn order only
+ */
+
+/**
+ * Summary of a running rolloff
+ * @typedef {object} ActiveRolloffSummary
+ * @property {string} id - The rolloff ID, accepted by {@link cancelRolloff}
+ * @property {string} combatId - The combat the rolloff belongs to
+ * @property {Array<string>} combatantIds - IDs of the participating combatants
+ * @property {string} mode - Rolloff mode: 'pair', 'bracket' or 'elimination'
+ * @property {string|null} currentMatchId - Match currently being resolved
+ */
+
+/**
+ * Start a rolloff between combatants and wait for the finishing order
+ * Must be called on a GM client. Initiative, or only the turn order depending on the tie ordering setting, steps up from the lowest participant's initiative unless `updateInitiative` is false.
+ * @param {Combat} combat - The combat encounter
+ * @param {Array<Combatant|string>} combatants - Two or more combatants, or their IDs, that have rolled initiative
+ * @param {StartRolloffOptions} [options={}] - Rolloff options
+ * @returns {Promise<Array<import('./rolloff-manager.mjs').RolloffPlacement>>} Placements in finishing order
+ * @throws {Error} If the arguments are invalid, or the rolloff is cancelled or fails
+ */
+export async function startRolloff(combat, combatants, options = {}) {
+  if (!game.user.isGM) throw new Error('Only a GM can start a rolloff');
+  const participants = combatants.map((c) => (typeof c === 'string' ? combat.combatants.get(c) : c));
+  if (participants.length < 2 || participants.some((c) => c?.combat?.id !== combat.id)) throw new Error('A rolloff needs at least two combatants from the given combat');
+  if (participants.some((c) => c.initiative === null || c.initiative === undefined)) throw new Error('Every combatant in a rolloff must have rolled initiative');
+  if (options.mode && !MODES.includes(options.mode)) throw new Error(`Unknown rolloff mode ${options.mode}`);
+  if (options.strategy && !RolloffManager.strategies.has(options.strategy)) throw new Error(`Unknown tie-break strategy ${options.strategy}`);
+  if (options.die && !/^d\d+$/.test(options.die)) throw new Error(`Invalid rolloff die ${options.die}`);
+  if (options.formula !== undefined && (!options.formula || !isValidFormula(options.formula))) throw new Error(`Invalid rolloff formula ${options.formula}`);
+  if (options.timeout !== undefined && !(options.timeout > 0)) throw new Error('Rolloff timeout must be a positive number of seconds');
+  if (options.winsNeeded !== undefined && !(Number.isInteger(options.winsNeeded) && options.winsNeeded > 0)) throw new Error('Wins needed must be a positive whole number');
+  const placements = await RolloffManager.startRolloff(combat, participants, {
+    mode: options.mode,
+    dieType: options.die,
+    formula: options.formula,
+    timeout: options.timeout,
+    winsNeeded: options.winsNeeded,
+    strategy: options.strategy,
+    updateInitiative: options.updateInitiative
+  });
+  if (!placements) throw new Error('The rolloff was cancelled or failed');
+  return placements;
+}
+
+/**
+ * Cancel a running rolloff, leaving initiative unchanged
+ * A pending {@link startRolloff} call for it rejects.
+ * @param {string} rolloffId - The rolloff ID
+ * @returns {Promise<void>}
+ */
+export async function cancelRolloff(rolloffId) {
+  await RolloffManager.cancelRolloff(rolloffId);
+}
+
+/**
+ * List the rolloffs running on this client
+ * @returns {Array<ActiveRolloffSummary>} Running rolloffs
+ */
+export function getActiveRolloffs() {
+  return [...RolloffManager.activeRolloffs].map(([id, rolloff]) => ({
+    id,
+    combatId: rolloff.combat.id,
+    combatantIds: rolloff.combatants.map((c) => c.id),
+    mode: rolloff.mode,
+    currentMatchId: rolloff.currentMatchId
+  }));
+}
+
+/**
+ * Register a tie-break strategy
+ * @param {string} id - Unique strategy identifier
+ * @param {object} strategy - Strategy definition with `label` and `resolve`
+ */
+export function registerStrategy(id, strategy) {
+  RolloffManager.registerStrategy(id, strategy);
+}
+
+/**
+ * Register how a game system exposes the attribute combatants are seeded and compared by
+ * @param {string} systemId - The game system ID
+ * @param {import('./adapters.mjs').SystemAdapter} adapter - Adapter with `label` and `getValue`
+ */
+export function registerSystemAdapter(systemId, adapter) {
+  registerAdapter(systemId, adapter);
+}
+
+/**
+ * Expose the API on the module object
+ */
+export function registerAPI() {
+  game.modules.get(MODULE.ID).api = { startRolloff, cancelRolloff, getActiveRolloffs, registerStrategy, registerSystemAdapter };
+}
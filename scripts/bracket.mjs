@@ -0,0 +1,153 @@
+/**
+ * Bracket construction and progression helpers shared by the GM and player clients
+ * @module bracket
+ */
+
+/**
+ * Reference to the result of another match
+ * @typedef {object} MatchSource
+ * @property {string} matchId - The match that feeds this slot
+ * @property {string} result - Which side of that match feeds the slot: 'winner' or 'loser'
+ */
+
+/**
+ * Bracket match data
+ * @typedef {object} BracketMatch
+ * @property {string} matchId - Unique match identifier
+ * @property {object|null} combatant1 - First combatant display data, null until its source match resolves
+ * @property {object|null} combatant2 - Second combatant display data, null until its source match resolves
+ * @property {MatchSource|null} source1 - Match result that fills the first slot
+ * @property {MatchSource|null} source2 - Match result that fills the second slot
+ * @property {object|null} winner - Winner display data once resolved
+ * @property {object|null} loser - Loser display data once resolved
+ */
+
+/**
+ * Bracket round data
+ * @typedef {object} BracketRound
+ * @property {number} roundNumber - Zero-based round index within its section
+ * @property {number} place - Best finishing place decided by this section (1 for the main bracket)
+ * @property {Array<BracketMatch>} matches - Matches played in this round
+ */
+
+/**
+ * Bracket slot, either a seeded combatant or the result of another match
+ * @typedef {object} BracketSlot
+ * @property {object|null} combatant - Combatant display data if known up front
+ * @property {MatchSource|null} source - Match result that fills this slot
+ */
+
+/**
+ * Build a full tournament for any number of seeded entrants
+ * The main bracket decides first place; the losers of each of its rounds play off for the places below
+ * @param {Array<object>} entrants - Combatant display data ordered by seed
+ * @param {string} baseTournamentId - Base tournament ID used to derive match IDs
+ * @returns {{rounds: Array<BracketRound>, standings: Array<BracketSlot>}} Rounds in play order and the slot for each finishing place
+ */
+export function buildTournament(entrants, baseTournamentId) {
+  const rounds = [];
+  const slots = entrants.map((combatant) => ({ combatant, source: null }));
+  const standings = buildSection(slots, baseTournamentId, 1, rounds);
+  return { rounds, standings };
+}
+
+/**
+ * Build single-elimination rounds for a set of slots, then recursively build playoffs for the losers
+ * Slots are paired in order; an odd slot count gives the last slot a bye into the next round
+ * @param {Array<BracketSlot>} slots - Slots ordered by seed
+ * @param {string} sectionId - ID prefix for matches in this section
+ * @param {number} place - Best finishing place decided by this section
+ * @param {Array<BracketRound>} rounds - Accumulator that receives rounds in play order
+ * @returns {Array<BracketSlot>} Slots for each finishing place decided by this section, best first
+ * @private
+ */
+function buildSection(slots, sectionId, place, rounds) {
+  if (slots.length < 2) return slots;
+  const sectionRounds = [];
+  let current = slots;
+  while (current.length > 1) {
+    const roundNumber = sectionRounds.length;
+    const bye = current.length % 2 ? current[current.length - 1] : null;
+    const paired = bye ? current.slice(0, -1) : current;
+    const matches = [];
+    for (let i = 0; i < paired.length; i += 2) {
+      matches.push({
+        matchId: `${sectionId}-r${roundNumber}-m${i / 2}`,
+        combatant1: paired[i].combatant,
+        combatant2: paired[i + 1].combatant,
+        source1: paired[i].source,
+        source2: paired[i + 1].source,
+        winner: null,
+        loser: null
+      });
+    }
+    sectionRounds.push({ roundNumber, place, matches });
+    const advancing = matches.map((match) => ({ combatant: null, source: { matchId: match.matchId, result: 'winner' } }));
+    current = bye ? [bye, ...advancing] : advancing;
+  }
+  rounds.push(...sectionRounds);
+  const standings = [current[0]];
+  for (let r = sectionRounds.length - 1; r >= 0; r--) {
+    const losers = sectionRounds[r].matches.map((match) => ({ combatant: null, source: { matchId: match.matchId, result: 'loser' } }));
+    const nextPlace = place + standings.length;
+    standings.push(...buildSection(losers, `${sectionId}-p${nextPlace}`, nextPlace, rounds));
+  }
+  return standings;
+}
+
+/**
+ * Find a match in a bracket by ID
+ * @param {object} bracket - The bracket structure
+ * @param {string} matchId - The match ID to find
+ * @returns {BracketMatch|null} The match or null if not found
+ */
+export function findMatch(bracket, matchId) {
+  for (const round of bracket.rounds) {
+    const match = round.matches.find((m) => m.matchId === matchId);
+    if (match) return match;
+  }
+  return null;
+}
+
+/**
+ * Record a match result and move the winner and loser into the slots fed by that match
+ * @param {object} bracket - The bracket structure
+ * @param {string} matchId - The completed match ID
+ * @param {object} winner - Winner display data
+ * @param {object} loser - Loser display data
+ */
+export function advanceBracket(bracket, matchId, winner, loser) {
+  const resultFor = (source) => (source.result === 'loser' ? loser : winner);
+  for (const round of bracket.rounds) {
+    for (const match of round.matches) {
+      if (match.matchId === matchId) {
+        match.winner = winner;
+        match.loser = loser;
+      }
+      if (match.source1?.matchId === matchId) match.combatant1 = resultFor(match.source1);
+      if (match.source2?.matchId === matchId) match.combatant2 = resultFor(match.source2);
+    }
+  }
+}
+
+/**
+ * Resolve a bracket slot to its combatant, if known yet
+ * @param {object} bracket - The bracket structure
+ * @param {BracketSlot} slot - The slot to resolve
+ * @returns {object|null} Combatant display data or null if the source match is unresolved
+ */
+export function resolveSlot(bracket, slot) {
+  if (slot.combatant) return slot.combatant;
+  return findMatch(bracket, slot.source.matchId)?.[slot.source.result] ?? null;
+}
+
+/**
+ * Get the finishing place of a combatant, once settled
+ * @param {object} bracket - The bracket structure
+ * @param {string} combatantId - The combatant ID
+ * @returns {number|null} One-based place or null if not yet settled
+ */
+export function getPlacement(bracket, combatantId) {
+  const index = bracket.standings.findIndex((slot) => resolveSlot(bracket, slot)?.id === combatantId);
+  return index === -1 ? null : index + 1;
+}
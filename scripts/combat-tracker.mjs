@@ -0,0 +1,176 @@
+/**
+ * Combat tracker integration
+ * Adds tie and rolloff badges to combatants, and lets the GM start rolloffs or re-check ties from the tracker
+ * @module combat-tracker
+ */
+
+import { MODULE } from './config.mjs';
+import { RolloffManager } from './rolloff-manager.mjs';
+import { CombatConfigDialog } from './dialogs/combat-config.mjs';
+
+/**
+ * Badge shown next to a combatant's name
+ * @typedef {object} TrackerBadge
+ * @property {string} type - Badge type, used as a CSS class: 'rolling', 'tied', 'winner' or 'placed'
+ * @property {string} icon - Font Awesome icon classes
+ * @property {string} tooltip - Localized tooltip
+ */
+
+/**
+ * Register combat tracker hooks
+ */
+export function registerCombatTrackerHooks() {
+  Hooks.on('renderCombatTracker', onRenderCombatTracker);
+  Hooks.on('getCombatContextOptions', onGetCombatContextOptions);
+  Hooks.on('getCombatantContextOptions', onGetCombatantContextOptions);
+}
+
+/**
+ * Add badges to combatants and the rolloff button to the tracker header
+ * @param {CombatTracker} app - The combat tracker
+ * @param {HTMLElement} html - The rendered element
+ */
+function onRenderCombatTracker(app, html) {
+  const combat = app.viewed;
+  if (!combat) return;
+  const tied = new Set(RolloffManager.findTies(combat).flatMap((group) => group.map((c) => c.id)));
+  const rolling = getRollingCombatantIds(combat);
+  for (const element of html.querySelectorAll('.combatant[data-combatant-id]')) {
+    element.querySelector('.rollies-badge')?.remove();
+    const combatant = combat.combatants.get(element.dataset.combatantId);
+    const badge = combatant && getBadge(combatant, tied, rolling);
+    if (!badge) continue;
+    const badgeElement = document.createElement('span');
+    badgeElement.className = `rollies-badge ${badge.type}`;
+    badgeElement.dataset.tooltip = badge.tooltip;
+    badgeElement.innerHTML = `<i class="${badge.icon}"></i>`;
+    (element.querySelector('.token-name') ?? element).append(badgeElement);
+  }
+  if (game.user.isGM) addHeaderButton(html, combat);
+}
+
+/**
+ * Get the badge for a combatant, if any
+ * A running rolloff takes precedence over a tie, and a tie over a past rolloff result
+ * @param {Combatant} combatant - The combatant
+ * @param {Set<string>} tied - IDs of tied combatants
+ * @param {Set<string>} rolling - IDs of combatants in a running rolloff
+ * @returns {TrackerBadge|null} The badge, or null if the combatant has none
+ */
+function getBadge(combatant, tied, rolling) {
+  if (rolling.has(combatant.id)) return { type: 'rolling', icon: 'fas fa-dice', tooltip: game.i18n.localize('Rollies.Tracker.Rolling') };
+  if (tied.has(combatant.id)) return { type: 'tied', icon: 'fas fa-equals', tooltip: game.i18n.localize('Rollies.Tracker.Tied') };
+  const result = combatant.getFlag(MODULE.ID, 'rolloffResult');
+  if (!result || result.initiative !== combatant.initiative) return null;
+  if (result.place === 1) return { type: 'winner', icon: 'fas fa-trophy', tooltip: game.i18n.localize('Rollies.Tracker.Won') };
+  return { type: 'placed', icon: 'fas fa-dice-d20', tooltip: game.i18n.format('Rollies.Tracker.Placed', { place: result.place }) };
+}
+
+/**
+ * Get the IDs of combatants taking part in a running rolloff
+ * Read from the rolloff records saved on the combat, so players see the same badges as the GM
+ * @param {Combat} combat - The combat encounter
+ * @returns {Set<string>} Combatant IDs
+ */
+function getRollingCombatantIds(combat) {
+  const records = Object.values(combat.getFlag(MODULE.ID, 'rolloffs') ?? {});
+  return new Set(records.flatMap((record) => record.combatantIds));
+}
+
+/**
+ * Add the rolloff button to the tracker header
+ * @param {HTMLElement} html - The rendered element
+ * @param {Combat} combat - The viewed combat
+ */
+function addHeaderButton(html, combat) {
+  const controls = html.querySelector('.encounter-controls') ?? html.querySelector('.combat-tracker-header');
+  if (!controls || controls.querySelector('.rollies-tracker-button')) return;
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'inline-control icon fas fa-dice-d20 rollies-tracker-button';
+  button.dataset.tooltip = 'Rollies.Tracker.HeaderButton';
+  button.setAttribute('aria-label', game.i18n.localize('Rollies.Tracker.HeaderButton'));
+  button.addEventListener('click', () => {
+    const selected = getSelectedCombatants(combat);
+    if (canRollOff(combat, selected)) RolloffManager.startRolloff(combat, selected);
+    else RolloffManager.recheckTies(combat);
+  });
+  controls.append(button);
+}
+
+/**
+ * Get the combatants of the tokens selected on the canvas
+ * @param {Combat} combat - The combat encounter
+ * @returns {Array<Combatant>} The selected combatants
+ */
+function getSelectedCombatants(combat) {
+  const tokenIds = new Set(canvas.tokens?.controlled.map((t) => t.id) ?? []);
+  return combat.combatants.filter((c) => tokenIds.has(c.tokenId));
+}
+
+/**
+ * Check whether a group of combatants can start a rolloff together
+ * @param {Combat} combat - The combat encounter
+ * @param {Array<Combatant>} combatants - The proposed participants
+ * @returns {boolean} True if there are at least two, all have rolled initiative, and none is already rolling off
+ */
+function canRollOff(combat, combatants) {
+  const rolling = getRollingCombatantIds(combat);
+  return combatants.length >= 2 && combatants.every((c) => c.initiative !== null && c.initiative !== undefined && !rolling.has(c.id));
+}
+
+/**
+ * Get the participants for a rolloff started from a combatant's context menu
+ * The combatant rolls off with the selected combatants, or with those it is tied with if nothing else is selected
+ * @param {Combat} combat - The combat encounter
+ * @param {Combatant} combatant - The combatant whose menu was opened
+ * @returns {Array<Combatant>} The proposed participants
+ */
+function getContextParticipants(combat, combatant) {
+  const selected = getSelectedCombatants(combat).filter((c) => c.id !== combatant.id);
+  if (selected.length) return [combatant, ...selected];
+  return RolloffManager.findTies(combat).find((group) => group.some((c) => c.id === combatant.id)) ?? [combatant];
+}
+
+/**
+ * Add Rollies entries to the encounter context menu in the combat tracker header
+ * @param {CombatTracker} _app - The combat tracker
+ * @param {Array<object>} menuItems - Context menu entries, extended in place
+ */
+function onGetCombatContextOptions(_app, menuItems) {
+  menuItems.push(
+    {
+      name: 'Rollies.Tracker.RecheckTies',
+      icon: '<i class="fas fa-equals"></i>',
+      condition: () => game.user.isGM && !!ui.combat.viewed,
+      callback: () => RolloffManager.recheckTies(ui.combat.viewed)
+    },
+    {
+      name: 'Rollies.CombatConfig.MenuItem',
+      icon: '<i class="fas fa-dice-d20"></i>',
+      condition: () => game.user.isGM && !!ui.combat.viewed,
+      callback: () => new CombatConfigDialog(ui.combat.viewed).render(true)
+    }
+  );
+}
+
+/**
+ * Add the rolloff entry to each combatant's context menu
+ * @param {CombatTracker} app - The combat tracker
+ * @param {Array<object>} menuItems - Context menu entries, extended in place
+ */
+function onGetCombatantContextOptions(app, menuItems) {
+  const getCombatant = (li) => app.viewed?.combatants.get(li.dataset.combatantId);
+  menuItems.push({
+    name: 'Rollies.Tracker.StartRolloff',
+    icon: '<i class="fas fa-dice-d20"></i>',
+    condition: (li) => {
+      const combatant = getCombatant(li);
+      return game.user.isGM && !!combatant && canRollOff(app.viewed, getContextParticipants(app.viewed, combatant));
+    },
+    callback: (li) => {
+      const combatant = getCombatant(li);
+      if (combatant) RolloffManager.startRolloff(app.viewed, getContextParticipants(app.viewed, combatant));
+    }
+  });
+}
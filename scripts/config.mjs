@@ -8,6 +8,7 @@
  * @typedef {object} ModuleConfig
  * @property {string} ID - The module identifier
  * @property {SettingsConfig} SETTINGS - Settings configuration keys
+ * @property {Array<string>} COMBAT_OVERRIDES - Setting keys a combat can override
  */
 
 /**
@@ -15,9 +16,27 @@
  * @typedef {object} SettingsConfig
  * @property {string} AUTO_ROLLOFF - Auto-trigger rolloffs setting key
  * @property {string} ROLLOFF_DIE - Rolloff die type setting key
- * @property {string} INCLUDE_NPCS - Include NPCs setting key
+ * @property {string} ROLLOFF_FORMULA - Rolloff roll formula setting key
+ * @property {string} INCLUDE_NPCS - Include GM-owned combatants setting key
  * @property {string} ROLLOFF_TIMEOUT - Rolloff timeout setting key
  * @property {string} SHOW_WINNER_ANNOUNCEMENT - Show winner announcement setting key
+ * @property {string} TIE_ORDERING - Whether rolloff results edit initiative or only the turn order setting key
+ * @property {string} TIE_BREAKER - Tie-break strategy setting key
+ * @property {string} MAX_REROLLS - Rerolls allowed for a repeated tie before the fallback decides setting key
+ * @property {string} REROLL_FALLBACK - Strategy deciding a match once its rerolls run out setting key
+ * @property {string} DIE_ESCALATION - Larger die on each reroll setting key
+ * @property {string} MULTI_TIE_MODE - Rolloff mode for ties of three or more setting key
+ * @property {string} SEED_ATTRIBUTE_PATH - Actor data path of the seeding attribute setting key
+ * @property {string} SEED_ATTRIBUTE_LABEL - Display label of a custom seeding attribute setting key
+ * @property {string} MATCH_FORMAT - Games needed to win a pair or bracket match setting key
+ * @property {string} MID_COMBAT_ROLLOFFS - Mid-combat tie detection setting key
+ * @property {string} GM_INTERACTIVE_ROLLS - GM interactive rolls setting key
+ * @property {string} LEADERBOARD - Leaderboard settings menu key
+ * @property {string} CONTROL_PANEL - GM control panel settings menu key
+ * @property {string} ROLLOFF_RULES - Advantage, disadvantage and bonus rules setting key
+ * @property {string} RULES_CONFIG - Rolloff rules settings menu key
+ * @property {string} PARTICIPANT_FILTER - Rules deciding which combatants take part setting key
+ * @property {string} PARTICIPANT_CONFIG - Participant rules settings menu key
  */
 
 /**
@@ -29,12 +48,56 @@ export const MODULE = {
   SETTINGS: {
     AUTO_ROLLOFF: 'autoRolloff',
     ROLLOFF_DIE: 'rolloffDie',
+    ROLLOFF_FORMULA: 'rolloffFormula',
     INCLUDE_NPCS: 'includeNPCs',
     ROLLOFF_TIMEOUT: 'rolloffTimeout',
-    SHOW_WINNER_ANNOUNCEMENT: 'showWinnerAnnouncement'
-  }
+    SHOW_WINNER_ANNOUNCEMENT: 'showWinnerAnnouncement',
+    TIE_ORDERING: 'tieOrdering',
+    TIE_BREAKER: 'tieBreaker',
+    MAX_REROLLS: 'maxRerolls',
+    REROLL_FALLBACK: 'rerollFallback',
+    DIE_ESCALATION: 'dieEscalation',
+    MULTI_TIE_MODE: 'multiTieMode',
+    SEED_ATTRIBUTE_PATH: 'seedAttributePath',
+    SEED_ATTRIBUTE_LABEL: 'seedAttributeLabel',
+    MATCH_FORMAT: 'matchFormat',
+    MID_COMBAT_ROLLOFFS: 'midCombatRolloffs',
+    GM_INTERACTIVE_ROLLS: 'gmInteractiveRolls',
+    LEADERBOARD: 'leaderboard',
+    CONTROL_PANEL: 'controlPanel',
+    ROLLOFF_RULES: 'rolloffRules',
+    RULES_CONFIG: 'rulesConfig',
+    PARTICIPANT_FILTER: 'participantFilter',
+    PARTICIPANT_CONFIG: 'participantConfig'
+  },
+  COMBAT_OVERRIDES: ['rolloffDie', 'rolloffFormula', 'rolloffTimeout', 'multiTieMode', 'includeNPCs', 'autoRolloff']
 };
 
+/**
+ * Get the effective value of a setting for a combat
+ * Overridable settings use the combat's override at `flags.rollies.overrides.<settingKey>` if set, otherwise the world setting
+ * @param {string} key - The setting key
+ * @param {Combat|null} [combat=null] - The combat whose overrides apply
+ * @returns {*} The effective setting value
+ */
+export function getSetting(key, combat = null) {
+  const override = MODULE.COMBAT_OVERRIDES.includes(key) ? combat?.getFlag(MODULE.ID, `overrides.${key}`) : undefined;
+  return override ?? game.settings.get(MODULE.ID, key);
+}
+
+/**
+ * Get the effective rolloff formula for a combat
+ * The combat's formula override comes first, then a single die of its die override, then the world formula, then a single die of the world die
+ * @param {Combat|null} [combat=null] - The combat whose overrides apply
+ * @returns {string} The roll formula
+ */
+export function getRolloffFormula(combat = null) {
+  const overrides = combat?.getFlag(MODULE.ID, 'overrides') ?? {};
+  if (overrides.rolloffFormula) return overrides.rolloffFormula;
+  if (overrides.rolloffDie) return `1${overrides.rolloffDie}`;
+  return game.settings.get(MODULE.ID, MODULE.SETTINGS.ROLLOFF_FORMULA) || `1${game.settings.get(MODULE.ID, MODULE.SETTINGS.ROLLOFF_DIE)}`;
+}
+
 /**
  * Get available die types from Foundry's dice configuration
  * @returns {object} Object containing die type labels keyed by die denomination
@@ -45,3 +108,113 @@ export function getDieTypes() {
   for (const [key, value] of Object.entries(availableDice)) dieTypes[key] = value.label;
   return dieTypes;
 }
+
+/**
+ * Dice a repeated tie escalates through, smallest first
+ * @type {Array<number>}
+ */
+const ESCALATION_FACES = [4, 6, 8, 10, 12, 20, 100];
+
+/**
+ * Get the die a number of steps up the escalation ladder
+ * Dice not on the ladder, and the largest die, stay as they are
+ * @param {number} faces - Faces of the die
+ * @param {number} steps - Steps to escalate
+ * @returns {number} Faces of the escalated die
+ */
+function escalateFaces(faces, steps) {
+  const index = ESCALATION_FACES.indexOf(faces);
+  if (index === -1) return faces;
+  return ESCALATION_FACES[Math.min(index + steps, ESCALATION_FACES.length - 1)];
+}
+
+/**
+ * Get the rolloff die escalated for a reroll
+ * @param {string} dieType - The rolloff die type (e.g., 'd20')
+ * @param {number} steps - Steps to escalate, one per reroll
+ * @returns {string} The escalated die type (e.g., 'd100')
+ */
+export function escalateDie(dieType, steps) {
+  if (!steps) return dieType;
+  return `d${escalateFaces(Number(dieType.slice(1)), steps)}`;
+}
+
+/**
+ * Escalate every die in a rolloff formula for a reroll, so `1d20 + @abilities.dex.mod` becomes `1d100 + @abilities.dex.mod`
+ * @param {string} formula - The roll formula
+ * @param {number} steps - Steps to escalate, one per reroll
+ * @returns {string} The escalated formula
+ */
+export function escalateFormula(formula, steps) {
+  if (!steps) return formula;
+  return formula.replace(/(?<![\w.@])(\d*)d(\d+)(?!\d)/g, (_match, number, faces) => `${number}d${escalateFaces(Number(faces), steps)}`);
+}
+
+/**
+ * Get the match format options, keyed by the games needed to win a match
+ * @returns {Object<number, string>} Localized match format labels
+ */
+export function getMatchFormats() {
+  return {
+    1: game.i18n.localize('Rollies.Settings.MatchFormat.Single'),
+    2: game.i18n.localize('Rollies.Settings.MatchFormat.BestOf3'),
+    3: game.i18n.localize('Rollies.Settings.MatchFormat.BestOf5')
+  };
+}
+
+/**
+ * Get the strategies that can decide a match once its rerolls run out, keyed by tie-break strategy ID
+ * @returns {Object<string, string>} Localized fallback labels
+ */
+export function getRerollFallbacks() {
+  return {
+    dexterity: game.i18n.localize('Rollies.Settings.RerollFallback.Dexterity'),
+    initiativeModifier: game.i18n.localize('Rollies.Settings.RerollFallback.InitiativeModifier'),
+    coinFlip: game.i18n.localize('Rollies.Settings.RerollFallback.Random'),
+    gm: game.i18n.localize('Rollies.Settings.RerollFallback.GM')
+  };
+}
+
+/**
+ * Check whether a rolloff formula is valid
+ * A blank formula is valid and means rolling a single rolloff die
+ * @param {string} formula - The roll formula
+ * @returns {boolean} Whether the formula can be rolled
+ */
+export function isValidFormula(formula) {
+  return !formula || Roll.validate(formula);
+}
+
+/**
+ * Get the roll data a combatant's rolloff formula is evaluated against
+ * @param {Combatant} combatant - The rolling combatant
+ * @returns {object} The actor's roll data, or an empty object if the combatant has no actor
+ */
+export function getRollData(combatant) {
+  return combatant?.actor?.getRollData() ?? {};
+}
+
+/**
+ * Create a rolloff roll for a combatant
+ * `@` references in the formula are resolved from the combatant's actor; values the actor lacks count as 0
+ * @param {string} formula - The roll formula
+ * @param {Combatant} combatant - The rolling combatant
+ * @returns {Roll} The unevaluated roll
+ */
+export function createRolloffRoll(formula, combatant) {
+  const rollData = getRollData(combatant);
+  return new Roll(Roll.replaceFormulaData(formula, rollData, { missing: '0', warn: true }), rollData);
+}
+
+/**
+ * Get the label shown to a player for what they roll
+ * A single die shows as its type (e.g. 'd20'); any other formula shows with the combatant's values filled in
+ * @param {string} formula - The roll formula
+ * @param {string} dieType - The rolloff die type
+ * @param {Combatant} combatant - The rolling combatant
+ * @returns {string} The label
+ */
+export function getFormulaLabel(formula, dieType, combatant) {
+  if (formula === `1${dieType}`) return dieType;
+  return Roll.replaceFormulaData(formula, getRollData(combatant), { missing: '0' });
+}
@@ -3,7 +3,9 @@
  * @module dialogs/bracket-tournament
  */
 
-import { MODULE } from '../config.mjs';
+import { MODULE, createRolloffRoll, getFormulaLabel, getSetting } from '../config.mjs';
+import { showRollAnimation } from '../dice.mjs';
+import { advanceBracket, getPlacement } from '../bracket.mjs';
 
 const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
 
@@ -32,17 +34,26 @@ export class BracketTournamentDialog extends HandlebarsApplicationMixin(Applicat
    * @param {string} dieType - Type of die to roll (e.g., 'd20')
    * @param {string} tournamentId - Unique identifier for this tournament
    * @param {object} bracket - The bracket structure
+   * @param {number} [timeout] - Seconds each player has to roll, defaults to the combat's effective rolloff timeout
+   * @param {string} [formula] - Roll formula for every match, defaults to a single die of the given type
    */
-  constructor(combatant, dieType, tournamentId, bracket) {
-    super();
+  constructor(combatant, dieType, tournamentId, bracket, timeout = getSetting(MODULE.SETTINGS.ROLLOFF_TIMEOUT, combatant.combat), formula = `1${dieType}`) {
+    super({ id: `${BracketTournamentDialog.DEFAULT_OPTIONS.id}-${combatant.id}` });
     this.combatant = combatant;
     this.dieType = dieType;
+    this.defaultFormula = formula;
+    this.formula = formula;
+    this.reasons = [];
+    this.series = null;
+    this.reroll = 0;
+    this.timeout = timeout;
     this.tournamentId = tournamentId;
     this.bracket = bracket;
     this.myRolls = new Map();
     this.opponentRolls = new Map();
     this.currentMatchId = null;
     this.isEliminated = false;
+    this.placement = null;
     this.isClosed = false;
     this.timeRemaining = 0;
     this.startTime = null;
@@ -67,14 +78,24 @@ export class BracketTournamentDialog extends HandlebarsApplicationMixin(Applicat
    * @param {string} matchId - The match ID to activate
    * @param {Function} resolve - Callback to resolve with roll result
    * @param {Function} reject - Callback to reject on error
+   * @param {string} [formula] - Roll formula for this match, defaults to the dialog's formula
+   * @param {Array<string>} [reasons=[]] - Why the formula has advantage, disadvantage or a bonus
+   * @param {object} [match={}] - Where the match stands
+   * @param {import('../rolloff-manager.mjs').MatchSeries|null} [match.series=null] - The best-of series this game belongs to
+   * @param {number} [match.reroll=0] - How many times the match has been rerolled after a tie
    */
-  activateMatch(matchId, resolve, reject) {
+  activateMatch(matchId, resolve, reject, formula = this.defaultFormula, reasons = [], { series = null, reroll = 0 } = {}) {
+    this.formula = formula;
+    this.reasons = reasons;
+    this.series = series;
+    this.reroll = reroll;
     console.log(`${MODULE.ID} | 🎯 Activating match:`, matchId, { currentMatchId: this.currentMatchId, rendered: this.rendered });
+    this.myRolls.delete(matchId);
+    if (series) for (const key of this.opponentRolls.keys()) if (key.startsWith(`${matchId}-`)) this.opponentRolls.delete(key);
     this.currentMatchId = matchId;
     this.currentResolve = resolve;
     this.currentReject = reject;
-    const timeoutSeconds = game.settings.get(MODULE.ID, MODULE.SETTINGS.ROLLOFF_TIMEOUT);
-    this.timeRemaining = timeoutSeconds;
+    this.timeRemaining = this.timeout;
     this.startTime = Date.now();
     if (this.countdownInterval) clearInterval(this.countdownInterval);
     if (this.timeoutId) clearTimeout(this.timeoutId);
@@ -83,13 +104,26 @@ export class BracketTournamentDialog extends HandlebarsApplicationMixin(Applicat
     }, 1000);
     this.timeoutId = setTimeout(() => {
       this._handleTimeout();
-    }, timeoutSeconds * 1000);
+    }, this.timeout * 1000);
     if (this.rendered) {
       console.log(`${MODULE.ID} | 🔄 Triggering render for match activation`);
       this.render({ force: true });
     }
   }
 
+  /**
+   * Replace the bracket with the GM's copy, e.g. after the GM resumes an interrupted tournament
+   * @param {object} bracket - The bracket structure
+   */
+  syncBracket(bracket) {
+    console.log(`${MODULE.ID} | 🔁 Syncing bracket for ${this.tournamentId}`);
+    this.bracket = bracket;
+    this.placement = getPlacement(this.bracket, this.combatant.id);
+    this.isEliminated = !!this.placement;
+    if (this.isEliminated) this._clearCountdown();
+    if (this.rendered) this.render({ force: true });
+  }
+
   /**
    * Lifecycle hook called after rendering
    * @param {HTMLElement} context - The rendered HTML context
@@ -119,34 +153,6 @@ export class BracketTournamentDialog extends HandlebarsApplicationMixin(Applicat
       console.log(`${MODULE.ID} | 🔍 Processing match ${matchId}:`, { isActiveMatch, hasRolled, currentMatchId: this.currentMatchId });
       if (isActiveMatch) matchEl.classList.add('active-match');
       else matchEl.classList.remove('active-match');
-      let bracketMatch = null;
-      for (const round of this.bracket.rounds) {
-        for (const match of round.matches) {
-          if (match.matchId === matchId) {
-            bracketMatch = match;
-            break;
-          }
-        }
-        if (bracketMatch) break;
-      }
-      if (bracketMatch && bracketMatch.combatant2) {
-        const pendingDiv = matchEl.querySelector('.match-pending');
-        if (pendingDiv) {
-          console.log(`${MODULE.ID} | 🔄 Replacing pending with combatant2:`, bracketMatch.combatant2.name);
-          const combatant2Html = `
-          <div class="match-combatant${bracketMatch.combatant2.id === this.combatant.id ? ' is-me' : ''}" data-combatant-id="${bracketMatch.combatant2.id}">
-            <img src="${bracketMatch.combatant2.img}" alt="${bracketMatch.combatant2.name}" class="match-portrait">
-            <div class="match-info">
-              <span class="match-name">${bracketMatch.combatant2.name}</span>
-              <span class="match-roll" style="display: none;"></span>
-              <button type="button" data-action="roll" class="roll-button-small" style="display: none;">Roll</button>
-              <span class="waiting-text" style="display: none;">...</span>
-            </div>
-          </div>
-        `;
-          pendingDiv.outerHTML = combatant2Html;
-        }
-      }
       const combatants = matchEl.querySelectorAll('.match-combatant');
       combatants.forEach((combatantEl) => {
         const combatantId = combatantEl.dataset.combatantId;
@@ -175,9 +181,10 @@ export class BracketTournamentDialog extends HandlebarsApplicationMixin(Applicat
       });
     });
     this.opponentRolls.forEach((rollData, key) => {
-      const parts = key.split('-');
-      const combatantId = parts[parts.length - 1];
-      const combatantEl = this.element.querySelector(`.match-combatant[data-combatant-id="${combatantId}"]`);
+      const separator = key.lastIndexOf('-');
+      const matchId = key.slice(0, separator);
+      const combatantId = key.slice(separator + 1);
+      const combatantEl = this.element.querySelector(`.bracket-match[data-match-id="${matchId}"] .match-combatant[data-combatant-id="${combatantId}"]`);
       if (combatantEl) {
         const rollDisplay = combatantEl.querySelector('.match-roll');
         const waitingText = combatantEl.querySelector('.waiting-text');
@@ -223,6 +230,7 @@ export class BracketTournamentDialog extends HandlebarsApplicationMixin(Applicat
       console.log(`${MODULE.ID} | ⏭️ Skipping - different tournament`);
       return;
     }
+    if (data.combatantId === this.combatant.id && data.rolloffId === this.currentMatchId && !this.myRolls.has(data.rolloffId)) this._onRolledElsewhere(data);
     const rollKey = `${data.rolloffId}-${data.combatantId}`;
     this.opponentRolls.set(rollKey, { total: data.total, name: data.name, img: data.img });
     console.log(`${MODULE.ID} | 💾 Stored roll:`, { key: rollKey, total: data.total, mapSize: this.opponentRolls.size });
@@ -232,6 +240,25 @@ export class BracketTournamentDialog extends HandlebarsApplicationMixin(Applicat
     }
   }
 
+  /**
+   * Stand down from the active match after another owner of this combatant rolled first
+   * @param {object} data - Roll update data
+   * @private
+   */
+  _onRolledElsewhere(data) {
+    console.log(`${MODULE.ID} | 🤝 Another owner rolled for ${this.combatant.name} in ${data.rolloffId}`);
+    this.myRolls.set(data.rolloffId, data.total);
+    this.currentMatchId = null;
+    this._clearCountdown();
+    if (this.timeoutId) {
+      clearTimeout(this.timeoutId);
+      this.timeoutId = null;
+    }
+    if (this.currentReject) this.currentReject(new Error('Rolled by another owner'));
+    this.currentResolve = null;
+    this.currentReject = null;
+  }
+
   /**
    * Handle match completion
    * @param {object} data - Match completion data
@@ -240,29 +267,13 @@ export class BracketTournamentDialog extends HandlebarsApplicationMixin(Applicat
   _onMatchComplete(data) {
     console.log(`${MODULE.ID} | 🎣 BracketTournamentDialog._onMatchComplete:`, data);
     if (data.tournamentId !== this.tournamentId) return;
-    let matchUpdated = false;
-    for (const round of this.bracket.rounds) {
-      for (const match of round.matches) {
-        if (match.matchId === data.matchId) {
-          match.winner = data.winner;
-          match.loser = data.loser;
-          matchUpdated = true;
-          console.log(`${MODULE.ID} | ✅ Updated match in bracket:`, match.matchId);
-          if (round.roundNumber === 0) {
-            const nextRound = this.bracket.rounds.find((r) => r.roundNumber === 1);
-            if (nextRound && nextRound.matches.length > 0) {
-              nextRound.matches[0].combatant2 = data.winner;
-              console.log(`${MODULE.ID} | 🎯 Propagated winner to round 1:`, data.winner.name);
-            }
-          }
-          break;
-        }
-      }
-      if (matchUpdated) break;
-    }
-    if (data.loser && data.loser.id === this.combatant.id) {
-      console.log(`${MODULE.ID} | 💀 Player eliminated`);
+    advanceBracket(this.bracket, data.matchId, data.winner, data.loser);
+    console.log(`${MODULE.ID} | ✅ Updated match in bracket:`, data.matchId);
+    const placement = getPlacement(this.bracket, this.combatant.id);
+    if (placement) {
+      console.log(`${MODULE.ID} | 💀 Player placement settled:`, placement);
       this.isEliminated = true;
+      this.placement = placement;
       this._clearCountdown();
     }
     if (this.rendered) {
@@ -298,8 +309,7 @@ export class BracketTournamentDialog extends HandlebarsApplicationMixin(Applicat
       return;
     }
     const elapsed = Math.floor((Date.now() - this.startTime) / 1000);
-    const timeoutSeconds = game.settings.get(MODULE.ID, MODULE.SETTINGS.ROLLOFF_TIMEOUT);
-    this.timeRemaining = Math.max(0, timeoutSeconds - elapsed);
+    this.timeRemaining = Math.max(0, this.timeout - elapsed);
     this._updateCountdownDisplay();
     if (this.timeRemaining === 0) this._clearCountdown();
   }
@@ -323,11 +333,11 @@ export class BracketTournamentDialog extends HandlebarsApplicationMixin(Applicat
   async _handleTimeout() {
     if (!this.currentMatchId || this.myRolls.has(this.currentMatchId)) return;
     console.log(`${MODULE.ID} | ⏱️ Timeout - auto-rolling for ${this.combatant.name}`);
-    const roll = await new Roll(`1${this.dieType}`).evaluate({ allowInteractive: false });
+    const roll = await createRolloffRoll(this.formula, this.combatant).evaluate({ allowInteractive: false });
     this.myRolls.set(this.currentMatchId, roll.total);
-    await this._createRollChatMessage(roll, true);
+    await showRollAnimation(roll);
     if (this.currentResolve) {
-      this.currentResolve({ roll: roll, total: roll.total });
+      this.currentResolve({ roll: roll, total: roll.total, isAuto: true });
       this.currentResolve = null;
       this.currentReject = null;
     }
@@ -339,8 +349,12 @@ export class BracketTournamentDialog extends HandlebarsApplicationMixin(Applicat
   async _prepareContext(options) {
     const context = await super._prepareContext(options);
     context.combatant = { id: this.combatant.id, name: this.combatant.name, img: this.combatant.img || this.combatant.actor?.img };
-    context.dieType = this.dieType;
+    context.formula = getFormulaLabel(this.formula, this.dieType, this.combatant);
+    context.reasons = this.reasons;
+    context.series = this.series;
+    context.reroll = this.reroll;
     context.isEliminated = this.isEliminated;
+    context.placement = this.placement;
     context.timeRemaining = this.timeRemaining;
     context.bracket = this._prepareBracketContext();
     return context;
@@ -355,17 +369,20 @@ export class BracketTournamentDialog extends HandlebarsApplicationMixin(Applicat
     return {
       rounds: this.bracket.rounds.map((round) => ({
         roundNumber: round.roundNumber,
-        roundLabel: round.roundNumber + 1,
+        roundLabel:
+          round.place === 1
+            ? game.i18n.format('Rollies.PlayerDialog.Round', { round: round.roundNumber + 1 })
+            : game.i18n.format('Rollies.PlayerDialog.PlayoffRound', { place: round.place, round: round.roundNumber + 1 }),
         matches: round.matches.map((match) => {
-          const isMyMatch = match.combatant1.id === this.combatant.id || (match.combatant2 && match.combatant2.id === this.combatant.id);
+          const isMyMatch = match.combatant1?.id === this.combatant.id || match.combatant2?.id === this.combatant.id;
           const matchComplete = !!match.winner;
           return {
             matchId: match.matchId,
             matchComplete: matchComplete,
             isMyMatch: isMyMatch,
-            hasOpponent: !!match.combatant2,
-            combatant1: { ...match.combatant1, isMe: match.combatant1.id === this.combatant.id, isLoser: match.loser && match.loser.id === match.combatant1.id },
-            combatant2: match.combatant2 ? { ...match.combatant2, isMe: match.combatant2.id === this.combatant.id, isLoser: match.loser && match.loser.id === match.combatant2.id } : null,
+            hasOpponent: !!match.combatant1 && !!match.combatant2,
+            combatant1: this._prepareSlotContext(match, match.combatant1),
+            combatant2: this._prepareSlotContext(match, match.combatant2),
             winner: match.winner
           };
         })
@@ -373,6 +390,20 @@ export class BracketTournamentDialog extends HandlebarsApplicationMixin(Applicat
     };
   }
 
+  /**
+   * Prepare one combatant slot of a match for the template
+   * Seeded combatants show their seeding attribute, labelled for the game system
+   * @param {object} match - The bracket match
+   * @param {object|null} slot - Combatant display data, or null while awaiting a previous match
+   * @returns {object|null} Slot context or null if the slot is still pending
+   * @private
+   */
+  _prepareSlotContext(match, slot) {
+    if (!slot) return null;
+    const seed = Number.isFinite(slot.seed) && this.bracket.seedLabel ? game.i18n.format('Rollies.PlayerDialog.Seed', { label: this.bracket.seedLabel, value: slot.seed }) : null;
+    return { ...slot, seed, isMe: slot.id === this.combatant.id, isLoser: match.loser?.id === slot.id };
+  }
+
   /**
    * Handle roll button click
    * @param {Event} _event - The click event
@@ -390,11 +421,11 @@ export class BracketTournamentDialog extends HandlebarsApplicationMixin(Applicat
       clearTimeout(this.timeoutId);
       this.timeoutId = null;
     }
-    const roll = await new Roll(`1${this.dieType}`).evaluate();
+    const roll = await createRolloffRoll(this.formula, this.combatant).evaluate();
     this.myRolls.set(this.currentMatchId, roll.total);
-    await this._createRollChatMessage(roll);
+    await showRollAnimation(roll);
     if (this.currentResolve) {
-      this.currentResolve({ roll: roll, total: roll.total });
+      this.currentResolve({ roll: roll, total: roll.total, isAuto: false });
       this.currentResolve = null;
       this.currentReject = null;
     }
@@ -403,19 +434,12 @@ export class BracketTournamentDialog extends HandlebarsApplicationMixin(Applicat
   }
 
   /**
-   * Create chat message for roll
-   * @param {Roll} roll - The Roll object
-   * @param {boolean} [isAuto=false] - Whether this was automatic
-   * @returns {Promise<ChatMessage>} - Chat messages
-   * @private
+   * Close the dialog for a cancelled rolloff without resolving or rejecting its roll
+   * @returns {Promise<void>}
    */
-  async _createRollChatMessage(roll, isAuto = false) {
-    const autoText = isAuto ? ` (${game.i18n.localize('Rollies.Chat.AutoRoll')})` : '';
-    const content = `<div class="rollies-roll-message">
-      <strong>${this.combatant.name}</strong> ${game.i18n.localize('Rollies.Chat.RolledFor')} ${game.i18n.localize('Rollies.Chat.Rolloff')}:
-      ${roll.total}${autoText}
-    </div>`;
-    return await ChatMessage.create({ content: content, speaker: ChatMessage.getSpeaker({ actor: this.combatant.actor }), style: CONST.CHAT_MESSAGE_STYLES.OTHER, rolls: [roll] });
+  async cancel() {
+    this._cleanup();
+    await this.close();
   }
 
   /** @inheritdoc */
@@ -0,0 +1,79 @@
+/**
+ * Per-combat rolloff settings dialog
+ * @module dialogs/combat-config
+ */
+
+import { MODULE, getDieTypes, isValidFormula } from '../config.mjs';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * Dialog for overriding rolloff settings on one combat
+ * Overrides are stored at `flags.rollies.overrides`; anything left on "world setting" falls back to the module settings
+ * @extends {HandlebarsApplicationMixin(ApplicationV2)}
+ */
+export class CombatConfigDialog extends HandlebarsApplicationMixin(ApplicationV2) {
+  /** @inheritdoc */
+  static DEFAULT_OPTIONS = {
+    id: 'rollies-combat-config',
+    classes: ['rollies-dialog', 'rollies-combat-config'],
+    tag: 'form',
+    position: { width: 440, height: 'auto' },
+    window: { resizable: false, title: 'Rollies.CombatConfig.Title', icon: 'fas fa-dice-d20' },
+    form: { handler: CombatConfigDialog.#onSubmit, closeOnSubmit: true }
+  };
+
+  /** @inheritdoc */
+  static PARTS = { form: { template: 'modules/rollies/templates/combat-config.hbs' } };
+
+  /**
+   * Create a new CombatConfigDialog
+   * @param {Combat} combat - The combat to configure
+   */
+  constructor(combat) {
+    super({ id: `${CombatConfigDialog.DEFAULT_OPTIONS.id}-${combat.id}` });
+    this.combat = combat;
+  }
+
+  /** @inheritdoc */
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    const overrides = this.combat.getFlag(MODULE.ID, 'overrides') ?? {};
+    const world = (key) => game.settings.get(MODULE.ID, key);
+    const yesNo = { true: game.i18n.localize('Rollies.CombatConfig.Yes'), false: game.i18n.localize('Rollies.CombatConfig.No') };
+    const modes = { bracket: game.i18n.localize('Rollies.Settings.MultiTieMode.Bracket'), elimination: game.i18n.localize('Rollies.Settings.MultiTieMode.Elimination') };
+    const fallback = (value) => game.i18n.format('Rollies.CombatConfig.WorldSetting', { value });
+    context.fields = {
+      rolloffDie: { value: overrides.rolloffDie ?? '', choices: getDieTypes(), blank: fallback(world(MODULE.SETTINGS.ROLLOFF_DIE)) },
+      rolloffFormula: { value: overrides.rolloffFormula ?? '', placeholder: world(MODULE.SETTINGS.ROLLOFF_FORMULA) || game.i18n.localize('Rollies.CombatConfig.RolloffDie') },
+      rolloffTimeout: { value: overrides.rolloffTimeout ?? '', placeholder: world(MODULE.SETTINGS.ROLLOFF_TIMEOUT) },
+      multiTieMode: { value: overrides.multiTieMode ?? '', choices: modes, blank: fallback(modes[world(MODULE.SETTINGS.MULTI_TIE_MODE)]) },
+      includeNPCs: { value: String(overrides.includeNPCs ?? ''), choices: yesNo, blank: fallback(yesNo[world(MODULE.SETTINGS.INCLUDE_NPCS)]) },
+      autoRolloff: { value: String(overrides.autoRolloff ?? ''), choices: yesNo, blank: fallback(yesNo[world(MODULE.SETTINGS.AUTO_ROLLOFF)]) }
+    };
+    return context;
+  }
+
+  /**
+   * Save the submitted overrides, dropping any left on the world setting
+   * @param {SubmitEvent} _event - The submit event
+   * @param {HTMLFormElement} _form - The submitted form
+   * @param {FormDataExtended} formData - The submitted data
+   * @returns {Promise<void>}
+   */
+  static async #onSubmit(_event, _form, formData) {
+    const data = formData.object;
+    const overrides = {};
+    if (data.rolloffDie) overrides.rolloffDie = data.rolloffDie;
+    const formula = data.rolloffFormula?.trim();
+    if (formula && isValidFormula(formula)) overrides.rolloffFormula = formula;
+    else if (formula) ui.notifications.warn(game.i18n.format('Rollies.CombatConfig.InvalidFormula', { formula }));
+    if (Number.isFinite(data.rolloffTimeout)) overrides.rolloffTimeout = Math.clamp(data.rolloffTimeout, 3, 60);
+    if (data.multiTieMode) overrides.multiTieMode = data.multiTieMode;
+    if (data.includeNPCs) overrides.includeNPCs = data.includeNPCs === 'true';
+    if (data.autoRolloff) overrides.autoRolloff = data.autoRolloff === 'true';
+    console.log(`${MODULE.ID} | ⚙️ Saving rolloff overrides for combat ${this.combat.id}:`, overrides);
+    if (this.combat.getFlag(MODULE.ID, 'overrides')) await this.combat.unsetFlag(MODULE.ID, 'overrides');
+    if (Object.keys(overrides).length) await this.combat.setFlag(MODULE.ID, 'overrides', overrides);
+  }
+}
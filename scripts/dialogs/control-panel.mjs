@@ -0,0 +1,148 @@
+/**
+ * GM control panel for running rolloffs
+ * @module dialogs/control-panel
+ */
+
+import { RolloffManager } from '../rolloff-manager.mjs';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * Control panel display data for one running rolloff
+ * @typedef {object} ControlPanelRolloff
+ * @property {string} id - The rolloff ID
+ * @property {string} modeLabel - Localized rolloff mode
+ * @property {Array<{id: string, name: string, img: string}>} participants - Participating combatants
+ * @property {object|null} match - The match being resolved, with one entry per combatant
+ * @property {boolean} canControl - Whether the current match can be restarted or decided
+ */
+
+/**
+ * GM-only application listing every running rolloff
+ * Shows whose roll is pending and the time left, and lets the GM force auto-rolls, restart a match, declare a winner or cancel
+ * @extends {HandlebarsApplicationMixin(ApplicationV2)}
+ */
+export class RolloffControlPanel extends HandlebarsApplicationMixin(ApplicationV2) {
+  /** @inheritdoc */
+  static DEFAULT_OPTIONS = {
+    id: 'rollies-control-panel',
+    classes: ['rollies-dialog', 'rollies-control-panel'],
+    tag: 'div',
+    position: { width: 480, height: 'auto' },
+    window: { resizable: true, title: 'Rollies.ControlPanel.Title', icon: 'fas fa-gamepad' },
+    actions: {
+      forceAutoRoll: RolloffControlPanel.#forceAutoRoll,
+      declareWinner: RolloffControlPanel.#declareWinner,
+      restartMatch: RolloffControlPanel.#restartMatch,
+      cancelRolloff: RolloffControlPanel.#cancelRolloff
+    }
+  };
+
+  /** @inheritdoc */
+  static PARTS = { div: { template: 'modules/rollies/templates/control-panel.hbs' } };
+
+  /**
+   * Interval updating the time left on pending rolls
+   * @type {number|null}
+   */
+  #countdownInterval = null;
+
+  /**
+   * Re-render the control panel if it is open
+   */
+  static refresh() {
+    foundry.applications.instances.get(this.DEFAULT_OPTIONS.id)?.render();
+  }
+
+  /** @inheritdoc */
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    context.rolloffs = [...RolloffManager.activeRolloffs].map(([id, rolloff]) => {
+      const match = rolloff.currentMatchId ? rolloff.card?.matches.findLast((m) => m.matchId === rolloff.currentMatchId) : null;
+      return {
+        id,
+        modeLabel: game.i18n.localize(`Rollies.ChatCard.Modes.${rolloff.mode.capitalize()}`),
+        participants: rolloff.combatants.map((c) => ({ id: c.id, name: c.name, img: c.img || c.actor?.img })),
+        match: match && {
+          label: match.label,
+          entries: match.entries.map((entry) => {
+            const pending = rolloff.pendingRolls.get(entry.combatantId);
+            return { ...entry, canForce: entry.pending && !!pending, deadline: pending?.deadline ?? null, timeLeft: pending ? this.#getTimeLeft(pending.deadline) : null };
+          })
+        },
+        canControl: !!rolloff.control
+      };
+    });
+    return context;
+  }
+
+  /** @inheritdoc */
+  _onFirstRender(context, options) {
+    super._onFirstRender(context, options);
+    this.#countdownInterval = setInterval(() => this.#updateCountdowns(), 1000);
+  }
+
+  /** @inheritdoc */
+  _onClose(options) {
+    super._onClose(options);
+    clearInterval(this.#countdownInterval);
+    this.#countdownInterval = null;
+  }
+
+  /**
+   * Seconds left until a deadline
+   * @param {number} deadline - Deadline in milliseconds since the epoch
+   * @returns {number} Whole seconds left, never negative
+   */
+  #getTimeLeft(deadline) {
+    return Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+  }
+
+  /**
+   * Update the time left shown on every pending roll
+   */
+  #updateCountdowns() {
+    for (const element of this.element?.querySelectorAll('.time-left[data-deadline]') ?? []) {
+      const timeLeft = this.#getTimeLeft(Number(element.dataset.deadline));
+      element.textContent = `${timeLeft}s`;
+      element.classList.toggle('urgent', timeLeft <= 5);
+    }
+  }
+
+  /**
+   * Force an auto-roll for a pending combatant
+   * @param {Event} _event - The click event
+   * @param {HTMLElement} target - The clicked element
+   */
+  static #forceAutoRoll(_event, target) {
+    RolloffManager.forceAutoRoll(target.closest('[data-rolloff-id]').dataset.rolloffId, target.closest('[data-combatant-id]').dataset.combatantId);
+  }
+
+  /**
+   * Declare a combatant the winner of the current match
+   * @param {Event} _event - The click event
+   * @param {HTMLElement} target - The clicked element
+   */
+  static #declareWinner(_event, target) {
+    RolloffManager.declareMatchWinner(target.closest('[data-rolloff-id]').dataset.rolloffId, target.closest('[data-combatant-id]').dataset.combatantId);
+  }
+
+  /**
+   * Restart the current match of a rolloff
+   * @param {Event} _event - The click event
+   * @param {HTMLElement} target - The clicked element
+   */
+  static #restartMatch(_event, target) {
+    RolloffManager.restartMatch(target.closest('[data-rolloff-id]').dataset.rolloffId);
+  }
+
+  /**
+   * Cancel a rolloff, leaving initiative unchanged
+   * @param {Event} _event - The click event
+   * @param {HTMLElement} target - The clicked element
+   * @returns {Promise<void>}
+   */
+  static async #cancelRolloff(_event, target) {
+    await RolloffManager.cancelRolloff(target.closest('[data-rolloff-id]').dataset.rolloffId);
+  }
+}
@@ -0,0 +1,317 @@
+/**
+ * Free-for-all elimination dialog - persists for the entire rolloff
+ * @module dialogs/elimination
+ */
+
+import { MODULE, createRolloffRoll, getFormulaLabel, getSetting } from '../config.mjs';
+import { showRollAnimation } from '../dice.mjs';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * Participant display data for the elimination dialog
+ * @typedef {object} EliminationParticipantContext
+ * @property {string} id - Combatant ID
+ * @property {string} name - Combatant name
+ * @property {string} img - Combatant image URL
+ * @property {boolean} isMe - Whether this participant belongs to the current player
+ * @property {number|null} roll - Latest roll total, if any
+ * @property {boolean} rolledThisRound - Whether the roll belongs to the current round
+ * @property {number|null} place - Settled finishing place, if any
+ * @property {boolean} canRoll - Whether the roll button should be shown
+ */
+
+/**
+ * Persistent dialog for free-for-all elimination rolloffs
+ * Every remaining participant rolls each round and the lowest roll drops out
+ * @extends {HandlebarsApplicationMixin(ApplicationV2)}
+ */
+export class EliminationDialog extends HandlebarsApplicationMixin(ApplicationV2) {
+  /** @inheritdoc */
+  static DEFAULT_OPTIONS = {
+    id: 'rollies-elimination',
+    classes: ['rollies-dialog', 'rollies-elimination'],
+    tag: 'form',
+    position: { width: 600, height: 'auto' },
+    window: { resizable: false, minimizable: false, title: 'Rollies.EliminationDialog.Title' },
+    actions: { roll: EliminationDialog._onRoll }
+  };
+
+  /** @inheritdoc */
+  static PARTS = { form: { template: 'modules/rollies/templates/elimination.hbs' } };
+
+  /**
+   * Create a new EliminationDialog
+   * @param {Combatant} combatant - The combatant this dialog represents
+   * @param {string} dieType - Type of die to roll (e.g., 'd20')
+   * @param {string} tournamentId - Unique identifier for this rolloff
+   * @param {Array<object>} participants - Display data for every participant
+   * @param {number} [timeout] - Seconds each player has to roll, defaults to the combat's effective rolloff timeout
+   * @param {string} [formula] - Roll formula for every round, defaults to a single die of the given type
+   */
+  constructor(combatant, dieType, tournamentId, participants, timeout = getSetting(MODULE.SETTINGS.ROLLOFF_TIMEOUT, combatant.combat), formula = `1${dieType}`) {
+    super({ id: `${EliminationDialog.DEFAULT_OPTIONS.id}-${combatant.id}` });
+    this.combatant = combatant;
+    this.dieType = dieType;
+    this.defaultFormula = formula;
+    this.formula = formula;
+    this.reasons = [];
+    this.reroll = 0;
+    this.timeout = timeout;
+    this.tournamentId = tournamentId;
+    this.participants = participants;
+    this.latestRolls = new Map();
+    this.placements = new Map();
+    this.roundIds = new Set();
+    this.currentRoundId = null;
+    this.isClosed = false;
+    this.timeRemaining = 0;
+    this.startTime = null;
+    this.countdownInterval = null;
+    this.timeoutId = null;
+    this.currentResolve = null;
+    this.currentReject = null;
+    this.rollUpdateHookId = Hooks.on(`${MODULE.ID}.rollUpdate`, this._onRollUpdate.bind(this));
+    this.placementHookId = Hooks.on(`${MODULE.ID}.placementSettled`, this._onPlacementSettled.bind(this));
+    this.winnerHookId = Hooks.on(`${MODULE.ID}.winnerAnnounced`, this._onWinnerAnnounced.bind(this));
+    console.log(`${MODULE.ID} | ⚔️ EliminationDialog created:`, { player: game.user.name, combatantName: combatant.name, tournamentId, participants: participants.length });
+  }
+
+  /**
+   * Activate a round for rolling
+   * @param {string} roundId - The round ID to activate
+   * @param {Function} resolve - Callback to resolve with roll result
+   * @param {Function} reject - Callback to reject on error
+   * @param {string} [formula] - Roll formula for this round, defaults to the dialog's formula
+   * @param {Array<string>} [reasons=[]] - Why the formula has advantage, disadvantage or a bonus
+   * @param {object} [round={}] - Where the round stands
+   * @param {number} [round.reroll=0] - How many rounds in a row everyone has tied
+   */
+  activateMatch(roundId, resolve, reject, formula = this.defaultFormula, reasons = [], { reroll = 0 } = {}) {
+    this.formula = formula;
+    this.reasons = reasons;
+    this.reroll = reroll;
+    console.log(`${MODULE.ID} | 🎯 Activating elimination round:`, roundId);
+    this.currentRoundId = roundId;
+    this.roundIds.add(roundId);
+    this.currentResolve = resolve;
+    this.currentReject = reject;
+    this.timeRemaining = this.timeout;
+    this.startTime = Date.now();
+    this._clearCountdown();
+    if (this.timeoutId) clearTimeout(this.timeoutId);
+    this.countdownInterval = setInterval(() => {
+      this._updateCountdown();
+    }, 1000);
+    this.timeoutId = setTimeout(() => {
+      this._handleTimeout();
+    }, this.timeout * 1000);
+    if (this.rendered) this.render();
+  }
+
+  /**
+   * Handle roll update from other participants
+   * @param {object} data - Roll update data
+   * @private
+   */
+  _onRollUpdate(data) {
+    if (!data.rolloffId?.startsWith(this.tournamentId)) return;
+    this.roundIds.add(data.rolloffId);
+    this.latestRolls.set(data.combatantId, { total: data.total, roundId: data.rolloffId });
+    if (data.combatantId === this.combatant.id && data.rolloffId === this.currentRoundId) this._onRolledElsewhere(data);
+    if (this.rendered) this.render();
+  }
+
+  /**
+   * Stand down from the active round after another owner of this combatant rolled first
+   * @param {object} data - Roll update data
+   * @private
+   */
+  _onRolledElsewhere(data) {
+    console.log(`${MODULE.ID} | 🤝 Another owner rolled for ${this.combatant.name} in ${data.rolloffId}`);
+    this.currentRoundId = null;
+    this._clearCountdown();
+    if (this.timeoutId) {
+      clearTimeout(this.timeoutId);
+      this.timeoutId = null;
+    }
+    if (this.currentReject) this.currentReject(new Error('Rolled by another owner'));
+    this.currentResolve = null;
+    this.currentReject = null;
+  }
+
+  /**
+   * Handle a participant's finishing place being settled
+   * @param {object} data - Placement data
+   * @private
+   */
+  _onPlacementSettled(data) {
+    if (data.tournamentId !== this.tournamentId) return;
+    this.placements.set(data.combatantId, data.place);
+    if (data.combatantId === this.combatant.id) this._clearCountdown();
+    if (this.rendered) this.render();
+  }
+
+  /**
+   * Handle winner announcement - close dialog
+   * @param {object} data - Winner data
+   * @private
+   */
+  _onWinnerAnnounced(data) {
+    if (data.tournamentId !== this.tournamentId) return;
+    setTimeout(() => {
+      if (!this.isClosed) {
+        this._cleanup();
+        this.close();
+      }
+    }, 500);
+  }
+
+  /**
+   * Update countdown timer
+   * @private
+   */
+  _updateCountdown() {
+    if (!this.currentRoundId) {
+      this._clearCountdown();
+      return;
+    }
+    const elapsed = Math.floor((Date.now() - this.startTime) / 1000);
+    this.timeRemaining = Math.max(0, this.timeout - elapsed);
+    const countdownElement = this.element?.querySelector('.countdown-timer');
+    if (countdownElement) {
+      countdownElement.textContent = `${this.timeRemaining}s`;
+      countdownElement.classList.toggle('urgent', this.timeRemaining <= 5);
+    }
+    if (this.timeRemaining === 0) this._clearCountdown();
+  }
+
+  /**
+   * Clear countdown interval
+   * @private
+   */
+  _clearCountdown() {
+    if (this.countdownInterval) {
+      clearInterval(this.countdownInterval);
+      this.countdownInterval = null;
+    }
+  }
+
+  /** @inheritdoc */
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    context.formula = getFormulaLabel(this.formula, this.dieType, this.combatant);
+    context.reasons = this.reasons;
+    context.reroll = this.reroll;
+    context.roundNumber = Math.max(1, this.roundIds.size);
+    context.isActive = !!this.currentRoundId;
+    context.timeRemaining = this.timeRemaining;
+    context.myPlace = this.placements.get(this.combatant.id) ?? null;
+    context.participants = this.participants.map((participant) => {
+      const latest = this.latestRolls.get(participant.id);
+      const isMe = participant.id === this.combatant.id;
+      return {
+        ...participant,
+        isMe,
+        roll: latest?.total ?? null,
+        rolledThisRound: !!latest && latest.roundId === this.currentRoundId,
+        place: this.placements.get(participant.id) ?? null,
+        canRoll: isMe && !!this.currentRoundId
+      };
+    });
+    context.participants.sort((a, b) => (a.place ?? 0) - (b.place ?? 0));
+    return context;
+  }
+
+  /**
+   * Resolve the active round with a roll
+   * @param {Roll} roll - The evaluated roll
+   * @param {boolean} isAuto - Whether this was an automatic roll
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _submitRoll(roll, isAuto) {
+    const roundId = this.currentRoundId;
+    this.currentRoundId = null;
+    this._clearCountdown();
+    if (this.timeoutId) {
+      clearTimeout(this.timeoutId);
+      this.timeoutId = null;
+    }
+    await showRollAnimation(roll);
+    this.latestRolls.set(this.combatant.id, { total: roll.total, roundId });
+    if (this.currentResolve) {
+      this.currentResolve({ roll: roll, total: roll.total, isAuto });
+      this.currentResolve = null;
+      this.currentReject = null;
+    }
+    if (this.rendered) this.render();
+  }
+
+  /**
+   * Handle roll button click
+   * @param {Event} _event - The click event
+   * @param {HTMLElement} _target - The clicked element
+   * @returns {Promise<void>}
+   */
+  static async _onRoll(_event, _target) {
+    if (!this.currentRoundId) return;
+    console.log(`${MODULE.ID} | 🎲 Rolling for ${this.combatant.name} in ${this.currentRoundId}`);
+    const roll = await createRolloffRoll(this.formula, this.combatant).evaluate();
+    await this._submitRoll(roll, false);
+  }
+
+  /**
+   * Handle timeout when player doesn't roll
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _handleTimeout() {
+    if (!this.currentRoundId) return;
+    console.log(`${MODULE.ID} | ⏱️ Timeout - auto-rolling for ${this.combatant.name}`);
+    const roll = await createRolloffRoll(this.formula, this.combatant).evaluate({ allowInteractive: false });
+    await this._submitRoll(roll, true);
+  }
+
+  /**
+   * Close the dialog for a cancelled rolloff without resolving or rejecting its roll
+   * @returns {Promise<void>}
+   */
+  async cancel() {
+    this._cleanup();
+    await this.close();
+  }
+
+  /** @inheritdoc */
+  static _onClose(_event, _target) {
+    this._cleanup(new Error('Dialog closed by user'));
+    super.close();
+  }
+
+  /**
+   * Clean up hooks and timers
+   * @param {Error} [error=null] - Optional error to reject with
+   * @private
+   */
+  _cleanup(error = null) {
+    this.isClosed = true;
+    if (this.timeoutId) {
+      clearTimeout(this.timeoutId);
+      this.timeoutId = null;
+    }
+    this._clearCountdown();
+    if (this.rollUpdateHookId) {
+      Hooks.off(`${MODULE.ID}.rollUpdate`, this.rollUpdateHookId);
+      this.rollUpdateHookId = null;
+    }
+    if (this.placementHookId) {
+      Hooks.off(`${MODULE.ID}.placementSettled`, this.placementHookId);
+      this.placementHookId = null;
+    }
+    if (this.winnerHookId) {
+      Hooks.off(`${MODULE.ID}.winnerAnnounced`, this.winnerHookId);
+      this.winnerHookId = null;
+    }
+    if (error && this.currentReject) this.currentReject(error);
+  }
+}
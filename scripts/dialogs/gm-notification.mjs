@@ -3,15 +3,29 @@
  * @module dialogs/gm-notification
  */
 
+import { MODULE, getMatchFormats, getSetting } from '../config.mjs';
 import { RolloffManager } from '../rolloff-manager.mjs';
 
 const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
 
+/**
+ * A tie group awaiting the GM's decision
+ * @typedef {object} PendingTieGroup
+ * @property {string} id - Identifier of the group within the dialog
+ * @property {Array<Combatant>} combatants - The tied combatants, in the finishing order chosen so far
+ * @property {string} mode - Rolloff mode to start the group with: 'pair', 'bracket' or 'elimination'
+ * @property {number} winsNeeded - Games a combatant must win to take a pair rolloff or bracket match
+ */
+
 /**
  * Tie group display data
  * @typedef {object} TieGroupData
+ * @property {string} id - Identifier of the group within the dialog
  * @property {number} initiative - The tied initiative value
  * @property {Array<object>} combatants - Array of combatant display data
+ * @property {Array<{value: string, label: string, selected: boolean}>} modes - Rolloff mode choices
+ * @property {Array<{value: number, label: string, selected: boolean}>} formats - Match format choices
+ * @property {boolean} isElimination - Whether the group is set to elimination, which has no matches to play as a series
  */
 
 /**
@@ -24,6 +38,7 @@ const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
 
 /**
  * Dialog to notify GM of initiative ties when auto-rolloff is disabled
+ * Each group can be rolled off in a chosen mode, skipped, or given a finishing order by dragging its combatants
  * @extends {HandlebarsApplicationMixin(ApplicationV2)}
  */
 export class GMNotificationDialog extends HandlebarsApplicationMixin(ApplicationV2) {
@@ -32,9 +47,14 @@ export class GMNotificationDialog extends HandlebarsApplicationMixin(Application
     id: 'rollies-gm-notification',
     classes: ['rollies-dialog', 'rollies-gm-notification'],
     tag: 'div',
-    position: { width: 400, height: 'auto' },
+    position: { width: 440, height: 'auto' },
     window: { resizable: false, title: 'Rollies.GMDialog.Title' },
-    actions: { startRolloffs: GMNotificationDialog.#startRolloffs }
+    actions: {
+      startRolloffs: GMNotificationDialog.#startRolloffs,
+      startGroup: GMNotificationDialog.#startGroup,
+      skipGroup: GMNotificationDialog.#skipGroup,
+      applyOrder: GMNotificationDialog.#applyOrder
+    }
   };
 
   /**
@@ -47,31 +67,157 @@ export class GMNotificationDialog extends HandlebarsApplicationMixin(Application
    * Create a new GMNotificationDialog
    * @param {Combat} combat - The combat encounter with ties
    * @param {Array<Array<Combatant>>} tieGroups - Array of combatant groups that are tied
+   * @param {object} [rolloffOptions={}] - Options passed to every rolloff started from this dialog
    */
-  constructor(combat, tieGroups) {
+  constructor(combat, tieGroups, rolloffOptions = {}) {
     super();
     this.combat = combat;
-    this.tieGroups = tieGroups;
+    this.rolloffOptions = rolloffOptions;
+    const multiTieMode = getSetting(MODULE.SETTINGS.MULTI_TIE_MODE, combat);
+    const winsNeeded = rolloffOptions.winsNeeded ?? game.settings.get(MODULE.ID, MODULE.SETTINGS.MATCH_FORMAT);
+    /** @type {Array<PendingTieGroup>} */
+    this.tieGroups = tieGroups.map((group) => ({ id: foundry.utils.randomID(), combatants: [...group], mode: rolloffOptions.mode ?? (group.length === 2 ? 'pair' : multiTieMode), winsNeeded }));
   }
 
   /** @inheritdoc */
   async _prepareContext(options) {
     const context = await super._prepareContext(options);
-    context.tieData = this.tieGroups.map((group) => ({ initiative: group[0].initiative, combatants: group.map((c) => ({ name: c.name, img: c.img || c.actor?.img })) }));
+    context.ties = this.tieGroups.map((group) => ({
+      id: group.id,
+      initiative: group.combatants[0].initiative,
+      combatants: group.combatants.map((c) => ({ id: c.id, name: c.name, img: c.img || c.actor?.img })),
+      modes: ['pair', 'bracket', 'elimination'].map((mode) => ({ value: mode, label: game.i18n.localize(`Rollies.GMDialog.Modes.${mode.capitalize()}`), selected: mode === group.mode })),
+      formats: Object.entries(getMatchFormats()).map(([value, label]) => ({ value: Number(value), label, selected: Number(value) === group.winsNeeded })),
+      isElimination: group.mode === 'elimination'
+    }));
     context.totalTies = this.tieGroups.length;
-    context.totalCombatants = this.tieGroups.reduce((sum, group) => sum + group.length, 0);
+    context.totalCombatants = this.tieGroups.reduce((sum, group) => sum + group.combatants.length, 0);
     return context;
   }
 
+  /** @inheritdoc */
+  _onRender(context, options) {
+    super._onRender(context, options);
+    for (const select of this.element.querySelectorAll('select[name="mode"]')) {
+      select.addEventListener('change', (event) => {
+        const group = this.#getGroup(event.target);
+        if (group) group.mode = event.target.value;
+        const format = event.target.closest('.tie-group-header')?.querySelector('select[name="winsNeeded"]');
+        if (format) format.disabled = event.target.value === 'elimination';
+      });
+    }
+    for (const select of this.element.querySelectorAll('select[name="winsNeeded"]')) {
+      select.addEventListener('change', (event) => {
+        const group = this.#getGroup(event.target);
+        if (group) group.winsNeeded = Number(event.target.value);
+      });
+    }
+    for (const item of this.element.querySelectorAll('.combatant[draggable]')) {
+      item.addEventListener('dragstart', (event) => {
+        event.dataTransfer.setData('text/plain', JSON.stringify({ groupId: this.#getGroup(item).id, combatantId: item.dataset.combatantId }));
+        item.classList.add('dragging');
+      });
+      item.addEventListener('dragend', () => item.classList.remove('dragging'));
+      item.addEventListener('dragover', (event) => event.preventDefault());
+      item.addEventListener('drop', (event) => this.#onDrop(event, item));
+    }
+  }
+
+  /**
+   * Move a dragged combatant to the position of the combatant it was dropped on
+   * @param {DragEvent} event - The drop event
+   * @param {HTMLElement} target - The combatant element dropped on
+   */
+  #onDrop(event, target) {
+    event.preventDefault();
+    let data;
+    try {
+      data = JSON.parse(event.dataTransfer.getData('text/plain'));
+    } catch {
+      return;
+    }
+    const group = this.#getGroup(target);
+    if (!group || group.id !== data.groupId) return;
+    const from = group.combatants.findIndex((c) => c.id === data.combatantId);
+    const to = group.combatants.findIndex((c) => c.id === target.dataset.combatantId);
+    if (from === -1 || to === -1 || from === to) return;
+    const [moved] = group.combatants.splice(from, 1);
+    group.combatants.splice(to, 0, moved);
+    this.render();
+  }
+
+  /**
+   * Get the tie group an element belongs to
+   * @param {HTMLElement} element - An element inside a tie group
+   * @returns {PendingTieGroup|undefined} The tie group
+   */
+  #getGroup(element) {
+    const groupId = element.closest('[data-group-id]')?.dataset.groupId;
+    return this.tieGroups.find((g) => g.id === groupId);
+  }
+
+  /**
+   * Remove a handled tie group, closing the dialog once none remain
+   * @param {PendingTieGroup} group - The handled group
+   */
+  #resolveGroup(group) {
+    this.tieGroups = this.tieGroups.filter((g) => g !== group);
+    if (this.tieGroups.length) this.render();
+    else this.close();
+  }
+
+  /**
+   * Start a rolloff for a tie group in its chosen mode and match format
+   * @param {PendingTieGroup} group - The tie group
+   */
+  #startRolloff(group) {
+    RolloffManager.startRolloff(this.combat, group.combatants, { ...this.rolloffOptions, mode: group.mode, winsNeeded: group.winsNeeded });
+  }
+
   /**
-   * Handle start rolloffs button click
+   * Handle start rolloffs button click, starting every remaining group
    * @param {Event} _event - The click event
    * @param {HTMLElement} _target - The clicked element
    * @private
    * @returns {Promise<void>}
    */
   static async #startRolloffs(_event, _target) {
-    RolloffManager.manuallyStartRolloffs(this.combat, this.tieGroups);
+    for (const group of this.tieGroups) this.#startRolloff(group);
     this.close();
   }
+
+  /**
+   * Start a rolloff for one tie group
+   * @param {Event} _event - The click event
+   * @param {HTMLElement} target - The clicked element
+   */
+  static #startGroup(_event, target) {
+    const group = this.#getGroup(target);
+    if (!group) return;
+    this.#startRolloff(group);
+    this.#resolveGroup(group);
+  }
+
+  /**
+   * Leave one tie group's initiative as it is
+   * @param {Event} _event - The click event
+   * @param {HTMLElement} target - The clicked element
+   */
+  static #skipGroup(_event, target) {
+    const group = this.#getGroup(target);
+    if (group) this.#resolveGroup(group);
+  }
+
+  /**
+   * Apply the finishing order the GM arranged for one tie group
+   * @param {Event} _event - The click event
+   * @param {HTMLElement} target - The clicked element
+   * @returns {Promise<void>}
+   */
+  static async #applyOrder(_event, target) {
+    const group = this.#getGroup(target);
+    if (!group) return;
+    this.#resolveGroup(group);
+    await RolloffManager.applyManualOrder(this.combat, group.combatants, this.rolloffOptions);
+  }
 }
@@ -0,0 +1,126 @@
+/**
+ * Rolloff leaderboard application
+ * @module dialogs/leaderboard
+ */
+
+import { MODULE } from '../config.mjs';
+import { getActorStats, resetActorStats, resetAllStats } from '../stats.mjs';
+
+const { ApplicationV2, HandlebarsApplicationMixin, DialogV2 } = foundry.applications.api;
+
+/**
+ * Leaderboard row display data
+ * @typedef {object} LeaderboardEntry
+ * @property {string} id - Actor ID
+ * @property {string} name - Actor name
+ * @property {string} img - Actor image URL
+ * @property {number} rank - One-based rank by wins
+ * @property {number} wins - Rolloffs won
+ * @property {number} losses - Rolloffs lost
+ * @property {string} winRate - Win percentage, formatted for display
+ * @property {string} averageRoll - Average roll, formatted for display
+ * @property {number} autoRolls - Rolls made automatically
+ * @property {number} streak - Current win streak
+ * @property {number} bestStreak - Longest win streak
+ */
+
+/**
+ * Leaderboard of every actor's rolloff statistics
+ * Anyone can view it; only the GM can reset statistics
+ * @extends {HandlebarsApplicationMixin(ApplicationV2)}
+ */
+export class LeaderboardDialog extends HandlebarsApplicationMixin(ApplicationV2) {
+  /** @inheritdoc */
+  static DEFAULT_OPTIONS = {
+    id: 'rollies-leaderboard',
+    classes: ['rollies-dialog', 'rollies-leaderboard'],
+    tag: 'div',
+    position: { width: 640, height: 'auto' },
+    window: { resizable: true, title: 'Rollies.Leaderboard.Title', icon: 'fas fa-trophy' },
+    actions: { resetActor: LeaderboardDialog.#resetActor, resetAll: LeaderboardDialog.#resetAll }
+  };
+
+  /** @inheritdoc */
+  static PARTS = { div: { template: 'modules/rollies/templates/leaderboard.hbs' } };
+
+  /**
+   * Hook ID for re-rendering when statistics change
+   * @type {number|null}
+   */
+  #updateHookId = null;
+
+  /** @inheritdoc */
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    const actors = game.actors.filter((a) => a.getFlag(MODULE.ID, 'stats'));
+    const entries = actors.map((actor) => {
+      const stats = getActorStats(actor);
+      const played = stats.wins + stats.losses;
+      return {
+        id: actor.id,
+        name: actor.name,
+        img: actor.img,
+        wins: stats.wins,
+        losses: stats.losses,
+        winRate: played ? `${Math.round((stats.wins / played) * 100)}%` : '-',
+        averageRoll: stats.rolls ? (stats.rollTotal / stats.rolls).toFixed(1) : '-',
+        autoRolls: stats.autoRolls,
+        streak: stats.streak,
+        bestStreak: stats.bestStreak
+      };
+    });
+    entries.sort((a, b) => b.wins - a.wins || a.losses - b.losses || a.name.localeCompare(b.name));
+    context.entries = entries.map((entry, index) => ({ ...entry, rank: index + 1 }));
+    context.isGM = game.user.isGM;
+    return context;
+  }
+
+  /** @inheritdoc */
+  _onFirstRender(context, options) {
+    super._onFirstRender(context, options);
+    this.#updateHookId = Hooks.on('updateActor', (_actor, changes) => {
+      if (foundry.utils.hasProperty(changes, `flags.${MODULE.ID}`)) this.render();
+    });
+  }
+
+  /** @inheritdoc */
+  _onClose(options) {
+    super._onClose(options);
+    Hooks.off('updateActor', this.#updateHookId);
+    this.#updateHookId = null;
+  }
+
+  /**
+   * Reset one actor's statistics after confirmation
+   * @param {Event} _event - The click event
+   * @param {HTMLElement} target - The clicked element
+   * @returns {Promise<void>}
+   */
+  static async #resetActor(_event, target) {
+    const actor = game.actors.get(target.closest('[data-actor-id]')?.dataset.actorId);
+    if (!actor) return;
+    const confirmed = await DialogV2.confirm({
+      window: { title: 'Rollies.Leaderboard.ResetActor' },
+      content: `<p>${game.i18n.format('Rollies.Leaderboard.ResetActorConfirm', { name: actor.name })}</p>`
+    });
+    if (!confirmed) return;
+    await resetActorStats(actor);
+    this.render();
+  }
+
+  /**
+   * Reset every actor's statistics after confirmation
+   * @param {Event} _event - The click event
+   * @param {HTMLElement} _target - The clicked element
+   * @returns {Promise<void>}
+   */
+  static async #resetAll(_event, _target) {
+    const confirmed = await DialogV2.confirm({
+      window: { title: 'Rollies.Leaderboard.ResetAll' },
+      content: `<p>${game.i18n.localize('Rollies.Leaderboard.ResetAllConfirm')}</p>`
+    });
+    if (!confirmed) return;
+    await resetAllStats();
+    this.render();
+  }
+}
@@ -0,0 +1,77 @@
+/**
+ * Participant rules configuration dialog
+ * @module dialogs/participant-filter
+ */
+
+import { MODULE } from '../config.mjs';
+import { getParticipantFilter } from '../participants.mjs';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * Dialog for choosing which combatants take part in tie detection and rolloffs
+ * @extends {HandlebarsApplicationMixin(ApplicationV2)}
+ */
+export class ParticipantFilterDialog extends HandlebarsApplicationMixin(ApplicationV2) {
+  /** @inheritdoc */
+  static DEFAULT_OPTIONS = {
+    id: 'rollies-participant-filter',
+    classes: ['rollies-dialog', 'rollies-participant-filter'],
+    tag: 'form',
+    position: { width: 480, height: 'auto' },
+    window: { title: 'Rollies.Participants.Title', icon: 'fas fa-filter' },
+    form: { handler: ParticipantFilterDialog.#onSubmit, closeOnSubmit: true }
+  };
+
+  /** @inheritdoc */
+  static PARTS = { form: { template: 'modules/rollies/templates/participant-filter.hbs' } };
+
+  /**
+   * Get the actor types of the game system
+   * @returns {Array<string>} Actor type IDs, without the base type
+   */
+  static #getActorTypes() {
+    return game.documentTypes.Actor.filter((type) => type !== CONST.BASE_DOCUMENT_TYPE);
+  }
+
+  /** @inheritdoc */
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    const filter = getParticipantFilter();
+    context.filter = filter;
+    context.gmOwned = game.settings.get(MODULE.ID, MODULE.SETTINGS.INCLUDE_NPCS);
+    context.types = ParticipantFilterDialog.#getActorTypes().map((type) => ({
+      value: type,
+      label: game.i18n.localize(CONFIG.Actor.typeLabels?.[type] ?? type),
+      checked: !filter.excludedTypes.includes(type)
+    }));
+    context.dispositions = Object.entries(CONST.TOKEN_DISPOSITIONS).map(([key, value]) => ({
+      key,
+      label: game.i18n.localize(`Rollies.Participants.Dispositions.${key.toLowerCase().capitalize()}`),
+      checked: !filter.excludedDispositions.includes(value)
+    }));
+    return context;
+  }
+
+  /**
+   * Save the participant rules and the GM-owned switch
+   * @param {SubmitEvent} _event - The submit event
+   * @param {HTMLFormElement} _form - The submitted form
+   * @param {FormDataExtended} formData - The submitted data
+   * @returns {Promise<void>}
+   */
+  static async #onSubmit(_event, _form, formData) {
+    const data = foundry.utils.expandObject(formData.object);
+    const filter = {
+      playerOwned: !!data.playerOwned,
+      excludedTypes: ParticipantFilterDialog.#getActorTypes().filter((type) => !data.types?.[type]),
+      excludedDispositions: Object.entries(CONST.TOKEN_DISPOSITIONS).filter(([key]) => !data.dispositions?.[key]).map(([, value]) => value),
+      skipHidden: !!data.skipHidden,
+      skipDefeated: !!data.skipDefeated,
+      ignoreNpcTies: !!data.ignoreNpcTies
+    };
+    console.log(`${MODULE.ID} | 🔍 Saving participant rules`, filter);
+    await game.settings.set(MODULE.ID, MODULE.SETTINGS.PARTICIPANT_FILTER, filter);
+    await game.settings.set(MODULE.ID, MODULE.SETTINGS.INCLUDE_NPCS, !!data.gmOwned);
+  }
+}
@@ -3,7 +3,8 @@
  * @module dialogs/player-roll
  */
 
-import { MODULE } from '../config.mjs';
+import { MODULE, createRolloffRoll, getFormulaLabel, getSetting } from '../config.mjs';
+import { showRollAnimation } from '../dice.mjs';
 
 const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
 
@@ -13,7 +14,10 @@ const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
  * @property {object} combatant - Combatant display data
  * @property {string} combatant.name - Combatant name
  * @property {string} combatant.img - Combatant image URL
- * @property {string} dieType - Die type to roll
+ * @property {string} formula - Die type or roll formula to roll, with the actor's values filled in
+ * @property {Array<string>} reasons - Why the roll has advantage, disadvantage or a bonus
+ * @property {import('../rolloff-manager.mjs').MatchSeries|null} series - The best-of series this roll is a game of
+ * @property {number} reroll - How many times the match has been rerolled after a tie
  * @property {boolean} hasRolled - Whether the player has rolled
  * @property {number} timeout - Timeout duration in seconds
  * @property {number} timeRemaining - Seconds remaining in countdown
@@ -22,6 +26,16 @@ const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
  * @property {Array<object>} opponents - Opponent data for pair mode
  */
 
+/**
+ * Optional settings for a roll dialog
+ * @typedef {object} PlayerRollOptions
+ * @property {number} [timeout] - Seconds before auto-rolling, defaults to the combat's effective rolloff timeout
+ * @property {string} [formula] - Roll formula, defaults to a single die of the given type
+ * @property {Array<string>} [reasons=[]] - Why the formula has advantage, disadvantage or a bonus
+ * @property {import('../rolloff-manager.mjs').MatchSeries|null} [series=null] - The best-of series this roll is a game of
+ * @property {number} [reroll=0] - How many times the match has been rerolled after a tie
+ */
+
 /**
  * Simple dialog for a player to make their rolloff roll (pair/solo modes only)
  * @extends {HandlebarsApplicationMixin(ApplicationV2)}
@@ -52,11 +66,16 @@ export class PlayerRollDialog extends HandlebarsApplicationMixin(ApplicationV2)
    * @param {Function} rejectCallback - Callback to reject on error
    * @param {string} mode - Rolloff mode: 'solo' or 'pair'
    * @param {Array<object>} opponents - Opponent data for pair mode
+   * @param {PlayerRollOptions} [options={}] - Timeout, formula, reasons, series and reroll count
    */
-  constructor(combatant, dieType, rolloffId, resolveCallback, rejectCallback, mode = 'solo', opponents = null) {
-    super();
+  constructor(combatant, dieType, rolloffId, resolveCallback, rejectCallback, mode = 'solo', opponents = null, { timeout = getSetting(MODULE.SETTINGS.ROLLOFF_TIMEOUT, combatant.combat), formula = `1${dieType}`, reasons = [], series = null, reroll = 0 } = {}) {
+    super({ id: `${PlayerRollDialog.DEFAULT_OPTIONS.id}-${combatant.id}` });
     this.combatant = combatant;
     this.dieType = dieType;
+    this.formula = formula;
+    this.reasons = reasons;
+    this.series = series;
+    this.reroll = reroll;
     this.rolloffId = rolloffId;
     this.resolveCallback = resolveCallback;
     this.rejectCallback = rejectCallback;
@@ -65,15 +84,15 @@ export class PlayerRollDialog extends HandlebarsApplicationMixin(ApplicationV2)
     this.hasRolled = false;
     this.isClosed = false;
     this.opponentRolls = new Map();
-    const timeoutSeconds = game.settings.get(MODULE.ID, MODULE.SETTINGS.ROLLOFF_TIMEOUT);
-    this.timeRemaining = timeoutSeconds;
+    this.timeout = timeout;
+    this.timeRemaining = timeout;
     this.startTime = Date.now();
     this.countdownInterval = setInterval(() => {
       this._updateCountdown();
     }, 1000);
     this.timeoutId = setTimeout(() => {
       this._handleTimeout();
-    }, timeoutSeconds * 1000);
+    }, timeout * 1000);
     this.hookId = Hooks.on(`${MODULE.ID}.rollUpdate`, this._onRollUpdate.bind(this));
     console.log(`${MODULE.ID} | PlayerRollDialog created in ${mode} mode`);
   }
@@ -86,6 +105,14 @@ export class PlayerRollDialog extends HandlebarsApplicationMixin(ApplicationV2)
   _onRollUpdate(data) {
     if (data.rolloffId !== this.rolloffId) return;
     console.log(`${MODULE.ID} | Received roll update:`, data);
+    if (data.combatantId === this.combatant.id) {
+      if (!this.hasRolled && !this.isClosed) {
+        console.log(`${MODULE.ID} | Another owner rolled for ${this.combatant.name}, closing`);
+        this._cleanup(new Error('Rolled by another owner'));
+        this.close();
+      }
+      return;
+    }
     const rollKey = `${data.rolloffId}-${data.combatantId}`;
     this.opponentRolls.set(rollKey, { total: data.total, name: data.name, img: data.img });
     if (this.rendered) this.render();
@@ -102,8 +129,7 @@ export class PlayerRollDialog extends HandlebarsApplicationMixin(ApplicationV2)
       return;
     }
     const elapsed = Math.floor((Date.now() - this.startTime) / 1000);
-    const timeoutSeconds = game.settings.get(MODULE.ID, MODULE.SETTINGS.ROLLOFF_TIMEOUT);
-    this.timeRemaining = Math.max(0, timeoutSeconds - elapsed);
+    this.timeRemaining = Math.max(0, this.timeout - elapsed);
     const countdownElement = this.element?.querySelector('.countdown-timer');
     const warningElement = this.element?.querySelector('.timeout-warning');
     if (countdownElement) countdownElement.textContent = this.timeRemaining;
@@ -130,9 +156,12 @@ export class PlayerRollDialog extends HandlebarsApplicationMixin(ApplicationV2)
       name: this.combatant.name,
       img: this.combatant.img || this.combatant.actor?.img
     };
-    context.dieType = this.dieType;
+    context.formula = getFormulaLabel(this.formula, this.dieType, this.combatant);
+    context.reasons = this.reasons;
+    context.series = this.series;
+    context.reroll = this.reroll;
     context.hasRolled = this.hasRolled;
-    context.timeout = game.settings.get(MODULE.ID, MODULE.SETTINGS.ROLLOFF_TIMEOUT);
+    context.timeout = this.timeout;
     context.timeRemaining = this.timeRemaining;
     context.rolloffId = this.rolloffId;
     context.mode = this.mode;
@@ -151,17 +180,28 @@ export class PlayerRollDialog extends HandlebarsApplicationMixin(ApplicationV2)
     console.log(`${MODULE.ID} | Performing roll for`, this.combatant.name);
     this.hasRolled = true;
     this._clearCountdown();
-    const roll = await new Roll(`1${this.dieType}`).evaluate();
+    const roll = await createRolloffRoll(this.formula, this.combatant).evaluate();
+    const shown = await showRollAnimation(roll);
     this.myRoll = roll.total;
-    await this._createRollChatMessage(roll);
     await this.render();
-    setTimeout(() => {
+    const finish = () => {
       if (!this.isClosed) {
         this._cleanup();
-        this.resolveCallback({ roll: roll, total: roll.total });
+        this.resolveCallback({ roll: roll, total: roll.total, isAuto: false });
         this.close();
       }
-    }, 1500);
+    };
+    if (shown) finish();
+    else setTimeout(finish, 1500);
+  }
+
+  /**
+   * Close the dialog for a cancelled rolloff without resolving or rejecting its roll
+   * @returns {Promise<void>}
+   */
+  async cancel() {
+    this._cleanup();
+    await this.close();
   }
 
   /** @inheritdoc */
@@ -179,29 +219,14 @@ export class PlayerRollDialog extends HandlebarsApplicationMixin(ApplicationV2)
     if (this.hasRolled || this.isClosed) return;
     console.log(`${MODULE.ID} | Timeout - auto-rolling for`, this.combatant.name);
     this._clearCountdown();
-    const roll = await new Roll(`1${this.dieType}`).evaluate({ allowInteractive: false });
+    const roll = await createRolloffRoll(this.formula, this.combatant).evaluate({ allowInteractive: false });
+    await showRollAnimation(roll);
     this.myRoll = roll.total;
-    await this._createRollChatMessage(roll, true);
     this._cleanup();
-    this.resolveCallback({ roll: roll, total: roll.total });
+    this.resolveCallback({ roll: roll, total: roll.total, isAuto: true });
     this.close();
   }
 
-  /**
-   * Create a chat message for the roll result
-   * @param {Roll} roll - The Roll object
-   * @param {boolean} [isAuto=false] - Whether this was an automatic roll
-   * @returns {Promise<ChatMessage>} The created chat message
-   */
-  async _createRollChatMessage(roll, isAuto = false) {
-    const autoText = isAuto ? ` (${game.i18n.localize('Rollies.Chat.AutoRoll')})` : '';
-    const content = `<div class="rollies-roll-message">
-      <strong>${this.combatant.name}</strong> ${game.i18n.localize('Rollies.Chat.RolledFor')} ${game.i18n.localize('Rollies.Chat.Rolloff')}:
-      ${roll.total}${autoText}
-    </div>`;
-    return await ChatMessage.create({ content: content, speaker: ChatMessage.getSpeaker({ actor: this.combatant.actor }), style: CONST.CHAT_MESSAGE_STYLES.OTHER, rolls: [roll] });
-  }
-
   /**
    * Clean up dialog resources
    * Clears timeout, countdown, and marks as closed
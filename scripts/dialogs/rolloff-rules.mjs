@@ -0,0 +1,113 @@
+/**
+ * Rolloff rules configuration dialog
+ * @module dialogs/rolloff-rules
+ */
+
+import { MODULE } from '../config.mjs';
+import { getRolloffRules } from '../rules.mjs';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * Dialog for editing the rules that give combatants advantage, disadvantage or a bonus in rolloffs
+ * Edits are kept in the dialog until saved
+ * @extends {HandlebarsApplicationMixin(ApplicationV2)}
+ */
+export class RolloffRulesDialog extends HandlebarsApplicationMixin(ApplicationV2) {
+  /** @inheritdoc */
+  static DEFAULT_OPTIONS = {
+    id: 'rollies-rolloff-rules',
+    classes: ['rollies-dialog', 'rollies-rolloff-rules'],
+    tag: 'form',
+    position: { width: 720, height: 'auto' },
+    window: { resizable: true, title: 'Rollies.Rules.Title', icon: 'fas fa-scale-balanced' },
+    form: { handler: RolloffRulesDialog.#onSubmit, closeOnSubmit: true },
+    actions: { addRule: RolloffRulesDialog.#addRule, deleteRule: RolloffRulesDialog.#deleteRule }
+  };
+
+  /** @inheritdoc */
+  static PARTS = { form: { template: 'modules/rollies/templates/rolloff-rules.hbs' } };
+
+  /**
+   * Rules being edited
+   * @type {Array<import('../rules.mjs').RolloffRule>}
+   */
+  rules = foundry.utils.deepClone(getRolloffRules());
+
+  /** @inheritdoc */
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    context.rules = this.rules;
+    context.sources = {
+      item: game.i18n.localize('Rollies.Rules.Sources.Item'),
+      effect: game.i18n.localize('Rollies.Rules.Sources.Effect'),
+      flag: game.i18n.localize('Rollies.Rules.Sources.Flag')
+    };
+    context.effects = {
+      advantage: game.i18n.localize('Rollies.Rules.Effects.Advantage'),
+      disadvantage: game.i18n.localize('Rollies.Rules.Effects.Disadvantage'),
+      bonus: game.i18n.localize('Rollies.Rules.Effects.Bonus')
+    };
+    return context;
+  }
+
+  /**
+   * Read the rules from the form
+   * @param {object} data - Flat form data
+   * @returns {Array<import('../rules.mjs').RolloffRule>} The rules, in form order
+   */
+  static #readRules(data) {
+    const rows = foundry.utils.expandObject(data).rules ?? {};
+    return Object.values(rows).map((row) => ({
+      id: row.id,
+      source: row.source,
+      match: row.match?.trim() ?? '',
+      effect: row.effect,
+      bonus: Number(row.bonus) || 0,
+      label: row.label?.trim() ?? ''
+    }));
+  }
+
+  /**
+   * Keep unsaved edits before re-rendering
+   */
+  #syncRules() {
+    this.rules = RolloffRulesDialog.#readRules(new foundry.applications.ux.FormDataExtended(this.element).object);
+  }
+
+  /**
+   * Add an empty rule
+   * @param {Event} _event - The click event
+   * @param {HTMLElement} _target - The clicked element
+   */
+  static #addRule(_event, _target) {
+    this.#syncRules();
+    this.rules.push({ id: foundry.utils.randomID(), source: 'item', match: '', effect: 'advantage', bonus: 0, label: '' });
+    this.render();
+  }
+
+  /**
+   * Remove a rule
+   * @param {Event} _event - The click event
+   * @param {HTMLElement} target - The clicked element
+   */
+  static #deleteRule(_event, target) {
+    this.#syncRules();
+    const ruleId = target.closest('[data-rule-id]')?.dataset.ruleId;
+    this.rules = this.rules.filter((r) => r.id !== ruleId);
+    this.render();
+  }
+
+  /**
+   * Save the rules, dropping any without anything to match
+   * @param {SubmitEvent} _event - The submit event
+   * @param {HTMLFormElement} _form - The submitted form
+   * @param {FormDataExtended} formData - The submitted data
+   * @returns {Promise<void>}
+   */
+  static async #onSubmit(_event, _form, formData) {
+    const rules = RolloffRulesDialog.#readRules(formData.object).filter((r) => r.match);
+    console.log(`${MODULE.ID} | ⚖️ Saving ${rules.length} rolloff rules`);
+    await game.settings.set(MODULE.ID, MODULE.SETTINGS.ROLLOFF_RULES, rules);
+  }
+}
@@ -12,6 +12,7 @@ const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
  * @property {string} winner.name - Winner's name
  * @property {string} winner.img - Winner's image URL
  * @property {number} winner.initiative - Winner's new initiative
+ * @property {Array<object>} standings - Every participant in finishing order
  */
 
 /**
@@ -40,6 +41,7 @@ export class WinnerAnnouncementDialog extends HandlebarsApplicationMixin(Applica
    * @param {string} winner.name - Winner's name
    * @param {string} winner.img - Winner's image URL
    * @param {number} winner.initiative - Winner's new initiative value
+   * @param {Array<object>} [winner.standings] - Every participant in finishing order
    */
   constructor(winner) {
     super();
@@ -54,6 +56,7 @@ export class WinnerAnnouncementDialog extends HandlebarsApplicationMixin(Applica
   async _prepareContext(options) {
     const context = await super._prepareContext(options);
     context.winner = { name: this.winner.name, img: this.winner.img, initiative: this.winner.initiative };
+    context.standings = this.winner.standings ?? [];
     return context;
   }
 }
@@ -0,0 +1,37 @@
+/**
+ * Dice So Nice integration for rolloff rolls
+ * @module dice
+ */
+
+import { MODULE } from './config.mjs';
+
+/**
+ * Extra seconds a roll request may take when 3D dice are shown
+ * Keeps a roll made near the end of the countdown from timing out while its dice are still rolling
+ * @type {number}
+ */
+export const ANIMATION_GRACE = 10;
+
+/**
+ * Check whether Dice So Nice is active
+ * @returns {boolean} Whether 3D dice can be shown
+ */
+export function isDiceSoNiceActive() {
+  return !!game.modules.get('dice-so-nice')?.active && !!game.dice3d;
+}
+
+/**
+ * Show a rolloff roll as 3D dice to every client
+ * Resolves once the dice have landed, or at once if Dice So Nice is not active
+ * @param {Roll} roll - The evaluated roll
+ * @returns {Promise<boolean>} Whether the roll was shown
+ */
+export async function showRollAnimation(roll) {
+  if (!isDiceSoNiceActive() || !roll) return false;
+  try {
+    return await game.dice3d.showForRoll(roll, game.user, true);
+  } catch (error) {
+    console.warn(`${MODULE.ID} | Dice So Nice could not show the roll:`, error);
+    return false;
+  }
+}
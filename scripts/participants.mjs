@@ -0,0 +1,81 @@
+/**
+ * Rules deciding which combatants take part in tie detection and rolloffs
+ * @module participants
+ */
+
+import { MODULE, getSetting } from './config.mjs';
+
+/**
+ * Configured participant rules
+ * GM-owned combatants are governed by the Include NPCs setting, which encounters can override
+ * @typedef {object} ParticipantFilter
+ * @property {boolean} playerOwned - Whether combatants a player owns take part
+ * @property {Array<string>} excludedTypes - Actor types left out (e.g., 'vehicle'); types added by a system later are included
+ * @property {Array<number>} excludedDispositions - Token dispositions left out, as `CONST.TOKEN_DISPOSITIONS` values
+ * @property {boolean} skipHidden - Whether combatants hidden in the tracker are left out
+ * @property {boolean} skipDefeated - Whether defeated combatants are left out
+ * @property {boolean} ignoreNpcTies - Whether ties among GM-owned combatants only are ignored
+ */
+
+/**
+ * Rules every world starts with
+ * @type {ParticipantFilter}
+ */
+export const DEFAULT_PARTICIPANT_FILTER = { playerOwned: true, excludedTypes: [], excludedDispositions: [], skipHidden: true, skipDefeated: true, ignoreNpcTies: false };
+
+/**
+ * Get the configured participant rules
+ * @returns {ParticipantFilter} The rules, with defaults for any not yet saved
+ */
+export function getParticipantFilter() {
+  return { ...DEFAULT_PARTICIPANT_FILTER, ...game.settings.get(MODULE.ID, MODULE.SETTINGS.PARTICIPANT_FILTER) };
+}
+
+/**
+ * Carry the Include NPCs choice made before participant rules existed over into the rules, once per world
+ * Include NPCs used to mean every combatant when enabled, and only actors of the `character` type, whoever owned them, when disabled.
+ * Worlds where it was disabled keep that: GM-owned combatants are included and every other actor type is left out.
+ * @returns {Promise<void>}
+ */
+export async function migrateParticipantFilter() {
+  if (!game.users.activeGM?.isSelf) return;
+  if (game.settings.storage.get('world').getSetting(`${MODULE.ID}.${MODULE.SETTINGS.PARTICIPANT_FILTER}`)) return;
+  const filter = { ...DEFAULT_PARTICIPANT_FILTER };
+  const types = game.documentTypes.Actor.filter((type) => type !== CONST.BASE_DOCUMENT_TYPE);
+  const charactersOnly = !game.settings.get(MODULE.ID, MODULE.SETTINGS.INCLUDE_NPCS) && types.includes('character');
+  if (charactersOnly) {
+    filter.excludedTypes = types.filter((type) => type !== 'character');
+    await game.settings.set(MODULE.ID, MODULE.SETTINGS.INCLUDE_NPCS, true);
+  }
+  await game.settings.set(MODULE.ID, MODULE.SETTINGS.PARTICIPANT_FILTER, filter);
+  console.log(`${MODULE.ID} | 🔍 Migrated Include NPCs to participant rules`, { charactersOnly, filter });
+  ui.notifications.info(game.i18n.localize('Rollies.Participants.Migrated'), { permanent: true });
+}
+
+/**
+ * Check whether a combatant takes part in tie detection and rolloffs
+ * Combatants without an actor or token are not filtered by actor type or disposition
+ * @param {Combatant} combatant - The combatant
+ * @param {Combat} [combat] - The combat, for the encounter's Include NPCs override
+ * @param {ParticipantFilter} [filter] - The rules to apply, the configured rules if omitted
+ * @returns {boolean} Whether the combatant takes part
+ */
+export function isParticipant(combatant, combat = combatant.combat, filter = getParticipantFilter()) {
+  if (combatant.hasPlayerOwner ? !filter.playerOwned : !getSetting(MODULE.SETTINGS.INCLUDE_NPCS, combat)) return false;
+  if (filter.skipHidden && combatant.hidden) return false;
+  if (filter.skipDefeated && combatant.isDefeated) return false;
+  const type = combatant.actor?.type;
+  if (type && filter.excludedTypes.includes(type)) return false;
+  const disposition = combatant.token?.disposition;
+  if (disposition !== undefined && filter.excludedDispositions.includes(disposition)) return false;
+  return true;
+}
+
+/**
+ * Check whether a tie is ignored because no player owns any of the tied combatants
+ * @param {Array<Combatant>} group - The tied combatants
+ * @returns {boolean} Whether the tie is ignored
+ */
+export function isIgnoredTie(group) {
+  return getParticipantFilter().ignoreNpcTies && !group.some((c) => c.hasPlayerOwner);
+}
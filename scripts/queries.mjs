@@ -3,18 +3,25 @@
  * @module queries
  */
 
-import { MODULE } from './config.mjs';
+import { MODULE, getRolloffFormula, getSetting } from './config.mjs';
 import { PlayerRollDialog } from './dialogs/player-roll.mjs';
 import { BracketTournamentDialog } from './dialogs/bracket-tournament.mjs';
+import { EliminationDialog } from './dialogs/elimination.mjs';
 import { WinnerAnnouncementDialog } from './dialogs/winner-announcement.mjs';
 
 /**
  * Query data for roll requests
  * @typedef {object} RollRequestQuery
+ * @property {string} [combatId] - The combat the combatant belongs to, defaults to the viewed combat
  * @property {string} combatantId - The ID of the combatant rolling
  * @property {string} dieType - The type of die to roll (e.g., 'd20')
+ * @property {number} timeout - Seconds the player has to roll
+ * @property {string} [formula] - Roll formula, defaults to a single die of the given type, or the combat's effective rolloff formula if no die is given
+ * @property {Array<string>} [reasons] - Why the formula has advantage, disadvantage or a bonus, shown to the player
+ * @property {import('./rolloff-manager.mjs').MatchSeries} [series] - The best-of series this roll is a game of
+ * @property {number} [reroll=0] - How many times the match has been rerolled after a tie
  * @property {string} rolloffId - Unique identifier for this rolloff
- * @property {string} mode - Rolloff mode: 'solo', 'pair', or 'bracket'
+ * @property {string} mode - Rolloff mode: 'solo' or 'pair'
  * @property {Array<object>} [opponents] - Opponent data for pair mode
  * @property {object} [bracket] - Bracket structure for bracket mode
  */
@@ -41,7 +48,8 @@ import { WinnerAnnouncementDialog } from './dialogs/winner-announcement.mjs';
  * @property {string} name - Name of the winner
  * @property {string} img - Image URL for the winner
  * @property {number} initiative - New initiative value
- * @property {string} [tournamentId] - Tournament ID if from bracket
+ * @property {Array<object>} standings - Every participant in finishing order
+ * @property {string} [tournamentId] - Rolloff or tournament ID the winner came from
  */
 
 /**
@@ -51,6 +59,7 @@ import { WinnerAnnouncementDialog } from './dialogs/winner-announcement.mjs';
  * @property {string} rolloffId - ID of the rolloff
  * @property {object} roll - Serialized Roll object
  * @property {number} total - Total value of the roll
+ * @property {boolean} isAuto - Whether the roll was made automatically after the player ran out of time
  */
 
 /**
@@ -59,8 +68,11 @@ import { WinnerAnnouncementDialog } from './dialogs/winner-announcement.mjs';
  * @property {number} timeout - Timeout duration in milliseconds
  */
 
-// Store active bracket dialogs per user
-const activeBracketDialogs = new Map();
+// Store active bracket and elimination dialogs by tournament and combatant ID
+const activeTournamentDialogs = new Map();
+
+// Store open pair/solo roll dialogs by rolloff and combatant ID
+const activeRollDialogs = new Map();
 
 /**
  * Register query handlers for inter-client communication
@@ -70,10 +82,13 @@ export function registerQueries() {
   console.log(`${MODULE.ID} | Registering queries`);
   CONFIG.queries[`${MODULE.ID}.requestRoll`] = handleRollRequest;
   CONFIG.queries[`${MODULE.ID}.createBracketDialog`] = handleCreateBracketDialog;
+  CONFIG.queries[`${MODULE.ID}.createEliminationDialog`] = handleCreateEliminationDialog;
   CONFIG.queries[`${MODULE.ID}.activateMatch`] = handleActivateMatch;
   CONFIG.queries[`${MODULE.ID}.showWinner`] = handleShowWinner;
   CONFIG.queries[`${MODULE.ID}.rollUpdate`] = handleRollUpdate;
   CONFIG.queries[`${MODULE.ID}.matchComplete`] = handleMatchComplete;
+  CONFIG.queries[`${MODULE.ID}.placementSettled`] = handlePlacementSettled;
+  CONFIG.queries[`${MODULE.ID}.cancelRolloff`] = handleCancelRolloff;
 }
 
 /**
@@ -85,56 +100,104 @@ export function registerQueries() {
  */
 async function handleRollRequest(queryData, { timeout }) {
   console.log(`${MODULE.ID} | Received roll request:`, queryData);
-  const { combatantId, dieType, rolloffId, mode, opponents } = queryData;
-  const combatant = game.combat?.combatants?.get(combatantId);
+  const { combatId, combatantId, rolloffId, mode, opponents, reasons, series, reroll } = queryData;
+  const combatant = getCombatant(combatId, combatantId);
   if (!combatant) throw new Error(`Combatant ${combatantId} not found`);
+  const dieType = queryData.dieType ?? getSetting(MODULE.SETTINGS.ROLLOFF_DIE, combatant.combat);
+  const formula = getQueryFormula(queryData, combatant.combat);
+  const dialogTimeout = queryData.timeout ?? timeout / 1000;
   if (!game.user.isGM && !combatant.isOwner) throw new Error(`User ${game.user.name} cannot roll for ${combatant.name}`);
   const timeoutPromise = new Promise((_, reject) => {
     setTimeout(() => reject(new Error('Query timeout exceeded')), timeout);
   });
-  const result = await Promise.race([showRollDialog(combatant, dieType, rolloffId, timeout, mode, opponents), timeoutPromise]);
-  return { combatantId, rolloffId, roll: result.roll.toJSON(), total: result.total };
+  const result = await Promise.race([showRollDialog(combatant, dieType, rolloffId, mode, opponents, { timeout: dialogTimeout, formula, reasons, series, reroll }), timeoutPromise]);
+  return { combatantId, rolloffId, roll: result.roll.toJSON(), total: result.total, isAuto: result.isAuto };
 }
 
 /**
  * Handle request to create a bracket tournament dialog
  * @param {object} queryData - Query data
+ * @param {string} [queryData.combatId] - Combat the combatant belongs to, defaults to the viewed combat
  * @param {string} queryData.combatantId - Combatant ID
  * @param {string} queryData.tournamentId - Tournament ID
  * @param {object} queryData.bracket - Bracket structure
+ * @param {string} [queryData.dieType] - Type of die to roll, defaults to the combat's effective rolloff die
+ * @param {number} [queryData.timeout] - Seconds each player has to roll, defaults to the combat's effective rolloff timeout
+ * @param {string} [queryData.formula] - Roll formula, defaults to a single die of the given type, or the combat's effective rolloff formula if no die is given
  * @param {QueryOptions} _options - Query options
  * @returns {Promise<object>} Acknowledgment
  */
 async function handleCreateBracketDialog(queryData, _options) {
   console.log(`${MODULE.ID} | Creating bracket dialog:`, queryData);
-  const { combatantId, tournamentId, bracket } = queryData;
-  const combatant = game.combat?.combatants?.get(combatantId);
+  const { combatId, combatantId, tournamentId, bracket } = queryData;
+  const combatant = getCombatant(combatId, combatantId);
   if (!combatant) throw new Error(`Combatant ${combatantId} not found`);
-  const dieType = game.settings.get(MODULE.ID, MODULE.SETTINGS.ROLLOFF_DIE);
-  const dialog = new BracketTournamentDialog(combatant, dieType, tournamentId, bracket);
-  activeBracketDialogs.set(tournamentId, dialog);
+  const existing = activeTournamentDialogs.get(`${tournamentId}-${combatantId}`);
+  if (existing && !existing.isClosed) {
+    existing.syncBracket(bracket);
+    return { acknowledged: true };
+  }
+  const dieType = queryData.dieType ?? getSetting(MODULE.SETTINGS.ROLLOFF_DIE, combatant.combat);
+  const dialog = new BracketTournamentDialog(combatant, dieType, tournamentId, bracket, queryData.timeout, getQueryFormula(queryData, combatant.combat));
+  activeTournamentDialogs.set(`${tournamentId}-${combatantId}`, dialog);
   dialog.render(true);
   return { acknowledged: true };
 }
 
 /**
- * Handle request to activate a match in the bracket dialog
+ * Handle request to create a free-for-all elimination dialog
  * @param {object} queryData - Query data
- * @param {string} queryData.matchId - Match ID
+ * @param {string} [queryData.combatId] - Combat the combatant belongs to, defaults to the viewed combat
+ * @param {string} queryData.combatantId - Combatant ID
  * @param {string} queryData.tournamentId - Tournament ID
+ * @param {Array<object>} queryData.participants - Display data for every participant
+ * @param {string} [queryData.dieType] - Type of die to roll, defaults to the combat's effective rolloff die
+ * @param {number} [queryData.timeout] - Seconds each player has to roll, defaults to the combat's effective rolloff timeout
+ * @param {string} [queryData.formula] - Roll formula, defaults to a single die of the given type, or the combat's effective rolloff formula if no die is given
+ * @param {QueryOptions} _options - Query options
+ * @returns {Promise<object>} Acknowledgment
+ */
+async function handleCreateEliminationDialog(queryData, _options) {
+  console.log(`${MODULE.ID} | Creating elimination dialog:`, queryData);
+  const { combatId, combatantId, tournamentId, participants } = queryData;
+  const combatant = getCombatant(combatId, combatantId);
+  if (!combatant) throw new Error(`Combatant ${combatantId} not found`);
+  const existing = activeTournamentDialogs.get(`${tournamentId}-${combatantId}`);
+  if (existing && !existing.isClosed) {
+    existing.render();
+    return { acknowledged: true };
+  }
+  const dieType = queryData.dieType ?? getSetting(MODULE.SETTINGS.ROLLOFF_DIE, combatant.combat);
+  const dialog = new EliminationDialog(combatant, dieType, tournamentId, participants, queryData.timeout, getQueryFormula(queryData, combatant.combat));
+  activeTournamentDialogs.set(`${tournamentId}-${combatantId}`, dialog);
+  dialog.render(true);
+  return { acknowledged: true };
+}
+
+/**
+ * Handle request to activate a bracket match or elimination round in the tournament dialog
+ * @param {object} queryData - Query data
+ * @param {string} queryData.combatantId - Combatant rolling in the match
+ * @param {string} queryData.matchId - Match or round ID
+ * @param {string} queryData.tournamentId - Tournament ID
+ * @param {string} [queryData.formula] - Roll formula for this match
+ * @param {Array<string>} [queryData.reasons] - Why the formula has advantage, disadvantage or a bonus
+ * @param {import('./rolloff-manager.mjs').MatchSeries} [queryData.series] - The best-of series this game belongs to
+ * @param {number} [queryData.reroll=0] - How many times the match has been rerolled after a tie
  * @param {QueryOptions} options - Query options
  * @returns {Promise<RollResult>} The roll result
  */
 async function handleActivateMatch(queryData) {
   console.log(`${MODULE.ID} | Activating match:`, queryData);
-  const { matchId, tournamentId } = queryData;
-  const dialog = activeBracketDialogs.get(tournamentId);
-  if (!dialog) throw new Error(`No active bracket dialog for tournament ${tournamentId}`);
+  const { combatantId, matchId, tournamentId, formula, reasons, series, reroll } = queryData;
+  const dialog = activeTournamentDialogs.get(`${tournamentId}-${combatantId}`);
+  if (!dialog) throw new Error(`No active tournament dialog for tournament ${tournamentId}`);
   console.log(`${MODULE.ID} | 📍 Found dialog, calling activateMatch`);
-  return new Promise((resolve, reject) => {
-    dialog.activateMatch(matchId, resolve, reject);
+  const result = await new Promise((resolve, reject) => {
+    dialog.activateMatch(matchId, resolve, reject, formula, reasons, { series, reroll });
     console.log(`${MODULE.ID} | ✅ Match activated, waiting for player roll`);
   });
+  return { combatantId, rolloffId: matchId, roll: result.roll.toJSON(), total: result.total, isAuto: result.isAuto };
 }
 
 /**
@@ -147,7 +210,7 @@ async function handleShowWinner(queryData, { timeout }) {
   const { winner } = queryData;
   if (winner.tournamentId) {
     Hooks.call(`${MODULE.ID}.winnerAnnounced`, { tournamentId: winner.tournamentId });
-    if (activeBracketDialogs.has(winner.tournamentId)) activeBracketDialogs.delete(winner.tournamentId);
+    for (const id of activeTournamentDialogs.keys()) if (id.startsWith(winner.tournamentId)) activeTournamentDialogs.delete(id);
   }
   const showAnnouncement = game.settings.get(MODULE.ID, MODULE.SETTINGS.SHOW_WINNER_ANNOUNCEMENT);
   if (showAnnouncement) {
@@ -192,20 +255,85 @@ async function handleMatchComplete(queryData, _options) {
   return { acknowledged: true };
 }
 
+/**
+ * Handle incoming placement broadcast from an elimination rolloff
+ * @param {object} queryData - Placement data
+ * @param {QueryOptions} _options - Query options
+ * @returns {Promise<object>} Acknowledgment response
+ */
+async function handlePlacementSettled(queryData, _options) {
+  console.log(`${MODULE.ID} | 📨 handlePlacementSettled received:`, queryData);
+  Hooks.call(`${MODULE.ID}.placementSettled`, queryData);
+  return { acknowledged: true };
+}
+
+/**
+ * Handle incoming rolloff cancellation
+ * Closes every dialog belonging to the rolloff without resolving it
+ * @param {object} queryData - Cancellation data
+ * @param {string} queryData.rolloffId - The cancelled rolloff ID
+ * @param {string} [queryData.reason='cancelled'] - Why the rolloff ended; 'combatDeleted' closes the dialogs without a notification
+ * @param {QueryOptions} _options - Query options
+ * @returns {Promise<object>} Acknowledgment response
+ */
+async function handleCancelRolloff(queryData, _options) {
+  console.log(`${MODULE.ID} | 📨 handleCancelRolloff received:`, queryData);
+  const { rolloffId, reason = 'cancelled' } = queryData;
+  for (const dialogs of [activeRollDialogs, activeTournamentDialogs]) {
+    for (const [id, dialog] of dialogs) {
+      if (!id.startsWith(rolloffId)) continue;
+      dialogs.delete(id);
+      if (!dialog.isClosed) dialog.cancel();
+    }
+  }
+  if (reason !== 'combatDeleted') ui.notifications.info(game.i18n.localize('Rollies.Messages.RolloffCancelled'));
+  return { acknowledged: true };
+}
+
+/**
+ * Find a combatant in the combat a query refers to
+ * @param {string} [combatId] - The combat ID, defaults to the viewed combat
+ * @param {string} combatantId - The combatant ID
+ * @returns {Combatant|undefined} The combatant, if found
+ */
+function getCombatant(combatId, combatantId) {
+  const combat = combatId ? game.combats.get(combatId) : game.combat;
+  return combat?.combatants.get(combatantId);
+}
+
+/**
+ * Get the roll formula a query asks for
+ * @param {object} queryData - Query data
+ * @param {string} [queryData.formula] - Roll formula
+ * @param {string} [queryData.dieType] - Type of die to roll when no formula is given
+ * @param {Combat} combat - The combat whose effective rolloff formula applies when neither is given
+ * @returns {string} The roll formula
+ */
+function getQueryFormula({ formula, dieType }, combat) {
+  return formula ?? (dieType ? `1${dieType}` : getRolloffFormula(combat));
+}
+
 /**
  * Show roll dialog to player (pair/solo modes)
  * @param {Combatant} combatant - The combatant performing the roll
  * @param {string} dieType - Type of die to roll
  * @param {string} rolloffId - Unique rolloff identifier
- * @param {number} timeout - Maximum time to wait for roll in milliseconds
  * @param {string} mode - Rolloff mode
  * @param {Array<object>} opponents - Opponent data
+ * @param {import('./dialogs/player-roll.mjs').PlayerRollOptions} [options={}] - Timeout, formula, reasons, series and reroll count
  * @returns {Promise<object>} Promise that resolves with roll result
  */
-async function showRollDialog(combatant, dieType, rolloffId, timeout, mode = 'solo', opponents = null) {
+async function showRollDialog(combatant, dieType, rolloffId, mode = 'solo', opponents = null, options = {}) {
+  const dialogKey = `${rolloffId}-${combatant.id}`;
+  const stale = activeRollDialogs.get(dialogKey);
+  if (stale && !stale.isClosed) {
+    stale._cleanup();
+    await stale.close();
+  }
   return new Promise((resolve, reject) => {
-    console.log(`${MODULE.ID} | Creating PlayerRollDialog with timeout: ${timeout}ms`);
-    const dialog = new PlayerRollDialog(combatant, dieType, rolloffId, resolve, reject, mode, opponents);
+    console.log(`${MODULE.ID} | Creating PlayerRollDialog with timeout: ${options.timeout}s`);
+    const dialog = new PlayerRollDialog(combatant, dieType, rolloffId, resolve, reject, mode, opponents, options);
+    activeRollDialogs.set(dialogKey, dialog);
     dialog.render(true);
-  });
+  }).finally(() => activeRollDialogs.delete(dialogKey));
 }
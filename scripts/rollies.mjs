@@ -6,23 +6,39 @@
 import { RolloffManager } from './rolloff-manager.mjs';
 import { registerSettings } from './settings.mjs';
 import { registerQueries } from './queries.mjs';
+import { registerAPI } from './api.mjs';
+import { registerCombatTrackerHooks } from './combat-tracker.mjs';
+import { registerTurnOrder } from './turn-order.mjs';
+import { migrateParticipantFilter } from './participants.mjs';
 import { MODULE } from './config.mjs';
 
 /**
  * Initialize the Rollies module on Foundry's init hook
- * Registers settings and initializes the rolloff manager
+ * Initializes the rolloff manager first so built-in strategies are available as setting choices
  */
 Hooks.once('init', () => {
-  registerSettings();
   RolloffManager.initialize();
+  registerSettings();
+  registerAPI();
+  registerCombatTrackerHooks();
+  registerTurnOrder();
   console.log(`${MODULE.ID} | Initialized`);
 });
 
+/**
+ * Let other modules register tie-break strategies once every module has initialized
+ */
+Hooks.once('setup', () => {
+  Hooks.callAll(`${MODULE.ID}.registerStrategies`, RolloffManager.registerStrategy.bind(RolloffManager));
+});
+
 /**
  * Finalize module setup on Foundry's ready hook
- * Registers query handlers for inter-client communication
+ * Registers query handlers for inter-client communication, carries old settings over and picks up rolloffs interrupted by a GM reload
  */
 Hooks.once('ready', () => {
   registerQueries();
+  migrateParticipantFilter().catch((error) => console.error(`${MODULE.ID} | Error migrating participant rules:`, error));
+  RolloffManager.resumeRolloffs().catch((error) => console.error(`${MODULE.ID} | Error resuming rolloffs:`, error));
   console.log(`${MODULE.ID} | Module ready`);
 });
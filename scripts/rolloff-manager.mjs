@@ -4,27 +4,218 @@
  */
 
 import { GMNotificationDialog } from './dialogs/gm-notification.mjs';
-import { MODULE } from './config.mjs';
+import { RolloffControlPanel } from './dialogs/control-panel.mjs';
+import { MODULE, createRolloffRoll, escalateDie, escalateFormula, getRerollFallbacks, getRolloffFormula, getSetting } from './config.mjs';
+import { advanceBracket, buildTournament, resolveSlot } from './bracket.mjs';
+import { recordRolloffStats } from './stats.mjs';
+import { applyRolloffRules } from './rules.mjs';
+import { ANIMATION_GRACE, isDiceSoNiceActive, showRollAnimation } from './dice.mjs';
+import { getSortInitiative, isTurnOrderMode } from './turn-order.mjs';
+import { getSeedLabel, getSeedValue } from './adapters.mjs';
+import { getParticipantFilter, isIgnoredTie, isParticipant } from './participants.mjs';
 
 /**
  * Rolloff tracking data
  * @typedef {object} RolloffData
  * @property {Combat} combat - The combat encounter
  * @property {Array<Combatant>} combatants - Array of tied combatants
- * @property {string} mode - Rolloff mode: 'pair' or 'bracket'
- * @property {Map<string, object>} rolls - Map of combatant IDs to roll results
+ * @property {string} mode - Rolloff mode: 'pair', 'bracket' or 'elimination'
+ * @property {string} dieType - Die rolled in this rolloff (e.g., 'd20')
+ * @property {string} formula - Roll formula every combatant rolls, before the preRoll hook
+ * @property {number} timeout - Seconds each player has to roll
+ * @property {string|null} strategyId - Tie-break strategy for this rolloff, or null to use the setting
+ * @property {number} winsNeeded - Games a combatant must win to take a pair or bracket match; 1 decides each match with a single roll
+ * @property {boolean} updateInitiative - Whether the finishing order is written to combatant initiative
+ * @property {Map<string, Array<RecordedTotal>>} results - Recorded totals of every resolved match, keyed by match ID
+ * @property {string|null} currentMatchId - Match currently being resolved
+ * @property {Array<Combatant>|null} standings - Finishing order once every match is resolved
  * @property {object} [bracket] - Bracket structure for bracket mode
- * @property {Map<string, BracketTournamentDialog>} [dialogs] - Map of user IDs to their tournament dialogs
+ * @property {string|null} newcomerId - Combatant that joined or re-rolled mid-combat, if this is a mid-combat rolloff
+ * @property {ChatCardData|null} card - The rolloff's chat card, once posted
+ * @property {Promise<void>} [cardUpdate] - Pending chat card update, so updates are written in order
+ * @property {Map<string, PendingRoll>} pendingRolls - Roll requests awaiting a player, keyed by combatant ID
+ * @property {MatchControl|null} control - Control over the match being resolved, if any
+ */
+
+/**
+ * A roll request awaiting a player
+ * @typedef {object} PendingRoll
+ * @property {string} matchId - The match the roll is for
+ * @property {number} deadline - Time the request times out, in milliseconds since the epoch
+ * @property {Function} forceAutoRoll - Stop waiting for the player and auto-roll instead
+ */
+
+/**
+ * Control over the match being resolved, used by the GM control panel
+ * @typedef {object} MatchControl
+ * @property {AbortController} controller - Aborted once the match attempt is settled or overridden
+ * @property {Function} override - Settle the match attempt early with `{restart: true}`, `{winnerId}` or `{cancelled: true}`
+ */
+
+/**
+ * State of the chat card that reports a rolloff as it runs
+ * @typedef {object} ChatCardData
+ * @property {string|null} messageId - ID of the chat message showing the card
+ * @property {string} mode - Rolloff mode: 'pair', 'bracket' or 'elimination', or 'manual' for an order chosen by the GM
+ * @property {Array<{id: string, name: string, img: string}>} participants - Participating combatants
+ * @property {Array<ChatCardMatch>} matches - Matches in the order they were played
+ * @property {Array<{name: string, place: number, initiative: number}>|null} standings - Final order once the rolloff is complete
+ * @property {boolean} cancelled - Whether the rolloff was cancelled
+ * @property {Array<Roll>} rolls - Rolls attached to the chat message; not persisted, restored from the message on resume
+ */
+
+/**
+ * One match shown on a rolloff chat card
+ * @typedef {object} ChatCardMatch
+ * @property {string} matchId - The rolloff or bracket match ID
+ * @property {string} label - Display label for the match
+ * @property {boolean} isReroll - Whether the match replays a tie
+ * @property {boolean} [declared] - Whether the GM declared the winner
+ * @property {string} [score] - Series score after the game, for games of a best-of series
+ * @property {number} [reroll] - How many times the match has been rerolled after a tie
+ * @property {string|null} [fallback] - The reroll fallback deciding the match, once its rerolls have run out
+ * @property {Array<ChatCardEntry>} entries - One entry per combatant in the match
+ */
+
+/**
+ * A combatant's result in a chat card match
+ * @typedef {object} ChatCardEntry
+ * @property {string} combatantId - The combatant ID
+ * @property {string} name - The combatant name
+ * @property {number|null} total - The combatant's total, once known
+ * @property {number|null} rollIndex - Index of the combatant's roll in the card's rolls, if it rolled
+ * @property {boolean} rolled - Whether the total came from a rolloff roll rather than a compared value or coin flip
+ * @property {boolean} auto - Whether the roll was made automatically
+ * @property {boolean} pending - Whether the combatant has yet to roll
+ * @property {boolean} isTop - Whether the combatant won the match outright
+ * @property {boolean} isTied - Whether the combatant shared the deciding total
+ * @property {boolean} isDropped - Whether the combatant dropped out of an elimination round
+ */
+
+/**
+ * A combatant's total in a resolved match
+ * @typedef {object} RecordedTotal
+ * @property {string} combatantId - The combatant ID
+ * @property {number} total - The combatant's total
+ */
+
+/**
+ * Rolloff state persisted on the Combat document so an interrupted rolloff can be resumed
+ * Stored at `flags.rollies.rolloffs.<rolloffId>`
+ * @typedef {object} RolloffRecord
+ * @property {string} id - The rolloff ID
+ * @property {string} userId - The GM user running the rolloff
+ * @property {Array<string>} combatantIds - IDs of the tied combatants
+ * @property {Array<number|null>} initiatives - Each combatant's initiative when the rolloff started, in the same order
+ * @property {string} mode - Rolloff mode: 'pair', 'bracket' or 'elimination'
+ * @property {string} dieType - Die rolled in this rolloff
+ * @property {string} formula - Roll formula every combatant rolls, before the preRoll hook
+ * @property {number} timeout - Seconds each player has to roll
+ * @property {string|null} strategyId - Tie-break strategy for this rolloff, or null to use the setting
+ * @property {number} winsNeeded - Games a combatant must win to take a pair or bracket match; 1 decides each match with a single roll
+ * @property {boolean} updateInitiative - Whether the finishing order is written to combatant initiative
+ * @property {string|null} newcomerId - Combatant that joined or re-rolled mid-combat, if any
+ * @property {object|null} bracket - Bracket structure for bracket mode
+ * @property {Array<{matchId: string, totals: Array<RecordedTotal>}>} results - Recorded totals of every resolved match
+ * @property {string|null} currentMatchId - Match being resolved when the record was saved
+ * @property {Array<string>|null} standings - Combatant IDs in finishing order once every match is resolved
+ * @property {ChatCardData|null} card - The rolloff's chat card, with its rolls left empty
+ */
+
+/**
+ * Options for starting a rolloff
+ * @typedef {object} RolloffOptions
+ * @property {string} [newcomerId] - Combatant that joined or re-rolled mid-combat; only it is moved in the turn order
+ * @property {string} [mode] - Rolloff mode: 'pair', 'bracket' or 'elimination'; defaults to pair for two combatants, otherwise the setting
+ * @property {string} [dieType] - Die to roll (e.g., 'd20'); defaults to the combat's effective rolloff die
+ * @property {string} [formula] - Roll formula, which may use `@` references to the rolling actor's roll data; defaults to the given die, otherwise the combat's effective rolloff formula, otherwise the rolloff die
+ * @property {number} [timeout] - Seconds each player has to roll; defaults to the combat's effective rolloff timeout
+ * @property {string} [strategy] - Tie-break strategy ID; defaults to the tie-break strategy setting
+ * @property {number} [winsNeeded] - Games a combatant must win to take a pair or bracket match; defaults to the match format setting
+ * @property {boolean} [updateInitiative=true] - Whether to write the finishing order to combatant initiative
+ */
+
+/**
+ * A combatant's finishing place in a completed rolloff
+ * @typedef {object} RolloffPlacement
+ * @property {Combatant} combatant - The combatant
+ * @property {number} place - One-based finishing place
+ * @property {number} initiative - Initiative assigned by the finishing order; the combatant's rolled initiative when results are applied as turn order only
+ * @property {number} sortInitiative - Value the combatant is sorted by in the turn order; equal to `initiative` unless results are applied as turn order only
+ */
+
+/**
+ * Payload passed to the rolloffStart and rolloffComplete hooks
+ * @typedef {object} RolloffHookPayload
+ * @property {string} rolloffId - The rolloff ID
+ * @property {Combat} combat - The combat encounter
+ * @property {Array<Combatant>} combatants - The participating combatants
+ * @property {string} mode - Rolloff mode: 'pair', 'bracket' or 'elimination'
+ * @property {string} dieType - Die rolled in this rolloff
+ * @property {string} formula - Roll formula every combatant rolls, before the preRoll hook
+ * @property {number} timeout - Seconds each player has to roll
+ * @property {string} strategy - ID of the tie-break strategy in use
+ * @property {number} winsNeeded - Games a combatant must win to take a pair or bracket match
+ * @property {string|null} newcomerId - Combatant that joined or re-rolled mid-combat, if any
+ * @property {boolean} [resumed] - Whether the rolloff was resumed after a GM reload (rolloffStart only)
+ * @property {Array<RolloffPlacement>} [placements] - Placements in finishing order (rolloffComplete only)
+ */
+
+/**
+ * Roll a combatant is asked to make
+ * Passed to the `rollies.preRoll` hook, whose handlers may change it in place
+ * @typedef {object} RollRequestData
+ * @property {string} formula - The roll formula, with any advantage, disadvantage or bonus from rolloff rules applied
+ * @property {Array<string>} reasons - Localized reasons the formula differs from the rolloff formula, shown to the player
  */
 
 /**
  * Roll result from a combatant
  * @typedef {object} CombatantRollResult
  * @property {Combatant} combatant - The combatant who rolled
- * @property {Roll} roll - The Roll object
+ * @property {Roll|null} roll - The Roll object, or null if the strategy did not roll
  * @property {number} total - Total value of the roll
  */
 
+/**
+ * Context passed to a tie-break strategy for one match
+ * @typedef {object} MatchContext
+ * @property {Combat} combat - The combat encounter
+ * @property {string} rolloffId - The rolloff this match belongs to
+ * @property {Array<Combatant>} combatants - Combatants competing in this match
+ * @property {string} matchId - The rolloff or bracket match ID
+ * @property {string|null} tournamentId - Tournament ID in bracket and elimination modes, otherwise null
+ * @property {string} mode - Rolloff mode: 'pair', 'bracket' or 'elimination'
+ * @property {string} dieType - Die rolled in this match (e.g., 'd20'), escalated on rerolls if die escalation is enabled
+ * @property {string} formula - Roll formula every combatant rolls, before the preRoll hook; escalated like the die
+ * @property {number} timeout - Seconds each player has to roll
+ * @property {number} [reroll=0] - How many times the match has been rerolled after a tie
+ * @property {boolean} [fallback] - Whether the match has run out of rerolls and is decided by the reroll fallback, which must not roll
+ * @property {number} [round] - One-based round number in bracket and elimination modes
+ * @property {number} [place] - Best finishing place decided by the match in bracket and elimination modes
+ * @property {MatchSeries} [series] - The best-of series this match is a game of, if the match format needs more than one win
+ * @property {AbortSignal} [signal] - Aborted if the GM restarts the match, declares its winner or cancels the rolloff; later results are discarded
+ */
+
+/**
+ * A best-of series deciding a pair or bracket match
+ * Each game is resolved as its own match; tied games are replayed and do not count
+ * @typedef {object} MatchSeries
+ * @property {string} id - The pair rolloff or bracket match the series decides, which players' dialogs know the games by
+ * @property {number} game - One-based number of the game being played
+ * @property {number} winsNeeded - Games a combatant must win to take the series
+ * @property {Array<{combatantId: string, name: string, wins: number}>} score - Games won by each combatant before this game
+ */
+
+/**
+ * Tie-break strategy definition
+ * Higher totals win; combatants that share the highest total are resolved again
+ * @typedef {object} TieBreakStrategy
+ * @property {string} id - Unique strategy identifier
+ * @property {string} label - Localization key or display label
+ * @property {Function} resolve - Async function receiving a {@link MatchContext} and returning an array of {@link CombatantRollResult}
+ */
+
 /**
  * Main manager class for handling initiative rolloffs
  * Tracks active rolloffs and processes initiative ties
@@ -37,30 +228,268 @@ export class RolloffManager {
   static activeRolloffs = new Map();
 
   /**
-   * Set of combat IDs that have been processed
-   * @type {Set<string>}
+   * Tie groups already handled, keyed by combat ID
+   * Each key records the tied initiative and combatant IDs, so a reset and re-roll into a new tie is detected again
+   * @type {Map<string, Set<string>>}
+   */
+  static processedTies = new Map();
+
+  /**
+   * Registered tie-break strategies by ID
+   * @type {Map<string, TieBreakStrategy>}
    */
-  static processedCombats = new Set();
+  static strategies = new Map();
 
   /**
    * Initialize the rolloff manager
-   * Registers hooks for combat events
+   * Registers built-in tie-break strategies and hooks for combat events
    */
   static initialize() {
+    this._registerBuiltinStrategies();
     Hooks.on('updateCombatant', this._onCombatantUpdate.bind(this));
     Hooks.on('createCombatant', this._onCombatantCreate.bind(this));
     Hooks.on('deleteCombat', this._onCombatDelete.bind(this));
   }
 
+  /**
+   * Register a tie-break strategy
+   * Strategies registered after settings are created are added to the strategy setting's choices
+   * @param {string} id - Unique strategy identifier
+   * @param {object} strategy - Strategy definition
+   * @param {string} strategy.label - Localization key or display label
+   * @param {Function} strategy.resolve - Async function receiving a {@link MatchContext} and returning an array of {@link CombatantRollResult}
+   * @throws {Error} If the strategy has no resolve function
+   */
+  static registerStrategy(id, { label, resolve }) {
+    if (typeof resolve !== 'function') throw new Error(`Tie-break strategy ${id} must provide a resolve function`);
+    this.strategies.set(id, { id, label, resolve });
+    const setting = game.settings.settings.get(`${MODULE.ID}.${MODULE.SETTINGS.TIE_BREAKER}`);
+    if (setting) setting.choices[id] = game.i18n.localize(label);
+  }
+
+  /**
+   * Get localized strategy labels keyed by strategy ID
+   * @returns {object} Strategy choices for the settings menu
+   */
+  static getStrategyChoices() {
+    const choices = {};
+    for (const [id, strategy] of this.strategies) choices[id] = game.i18n.localize(strategy.label);
+    return choices;
+  }
+
+  /**
+   * Get a tie-break strategy, by default the configured one
+   * Falls back to rolling if the strategy is no longer registered
+   * @param {string} [id] - Strategy ID, defaults to the tie-break strategy setting
+   * @returns {TieBreakStrategy} The strategy to use
+   */
+  static _getStrategy(id = game.settings.get(MODULE.ID, MODULE.SETTINGS.TIE_BREAKER)) {
+    return this.strategies.get(id) ?? this.strategies.get('roll');
+  }
+
+  /**
+   * Register the built-in tie-break strategies
+   * @private
+   */
+  static _registerBuiltinStrategies() {
+    this.registerStrategy('roll', { label: 'Rollies.Strategies.Roll', resolve: (context) => this._rollStrategy(context) });
+    this.registerStrategy('initiativeModifier', {
+      label: 'Rollies.Strategies.InitiativeModifier',
+      resolve: (context) => this._compareThenRoll(context, (c) => this._getInitiativeModifier(c))
+    });
+    this.registerStrategy('dexterity', { label: 'Rollies.Strategies.Dexterity', resolve: (context) => this._compareThenRoll(context, (c) => this._getSeedValue(c)) });
+    this.registerStrategy('coinFlip', { label: 'Rollies.Strategies.CoinFlip', resolve: (context) => this._coinFlipStrategy(context) });
+    this.registerStrategy('gm', { label: 'Rollies.Strategies.GM', resolve: (context) => this._gmStrategy(context) });
+  }
+
+  /**
+   * Resolve a match by having every combatant roll the rolloff formula
+   * Owners are prompted to roll; combatants without an owner, or whose owner does not respond, are auto-rolled
+   * @param {MatchContext} context - The match being resolved
+   * @returns {Promise<Array<CombatantRollResult>>} Roll results for every combatant
+   */
+  static async _rollStrategy(context) {
+    return await Promise.all(context.combatants.map((combatant) => this._requestCombatantRoll(combatant, context)));
+  }
+
+  /**
+   * Prompt a combatant's owners for a roll, falling back to an automatic roll
+   * When several owners are prompted the first roll counts; the broadcast roll update closes the other owners' dialogs.
+   * With Dice So Nice active, owners get extra time to answer so a roll made late in the countdown can finish animating.
+   * @param {Combatant} combatant - The combatant to roll for
+   * @param {MatchContext} context - The match being resolved
+   * @returns {Promise<CombatantRollResult>} The roll result
+   */
+  static async _requestCombatantRoll(combatant, context) {
+    const owners = this._getOwnerUsers(combatant);
+    const ownerNames = owners.map((u) => u.name).join(', ');
+    console.log(`${MODULE.ID} | 👤 Owner lookup for ${combatant?.name}:`, { combatantId: combatant?.id, ownersFound: owners.length, ownerNames });
+    const { formula, reasons } = this._getRollRequest(combatant, context);
+    if (!owners.length) return await this._autoRoll(combatant, context, formula);
+    const timeout = (context.timeout + (isDiceSoNiceActive() ? ANIMATION_GRACE : 0)) * 1000;
+    const rolloff = this.activeRolloffs.get(context.rolloffId);
+    let forceAutoRoll;
+    const forced = new Promise((_, reject) => {
+      forceAutoRoll = () => reject(new Error('GM forced an auto-roll'));
+    });
+    const pending = { matchId: context.matchId, deadline: Date.now() + context.timeout * 1000, forceAutoRoll };
+    let queryName;
+    let queryData;
+    if (context.tournamentId) {
+      console.log(`${MODULE.ID} | 📤 Sending activateMatch to ${ownerNames} for ${combatant.name}`);
+      queryName = `${MODULE.ID}.activateMatch`;
+      queryData = { combatantId: combatant.id, matchId: this._getDialogMatchId(context), tournamentId: context.tournamentId, formula, reasons, series: context.series ?? null, reroll: context.reroll ?? 0 };
+    } else {
+      const opponents = context.combatants.filter((c) => c.id !== combatant.id).map((c) => ({ id: c.id, name: c.name, img: c.img || c.actor?.img, userId: this._getOwnerUser(c)?.id }));
+      queryName = `${MODULE.ID}.requestRoll`;
+      queryData = { combatId: context.combat.id, combatantId: combatant.id, dieType: context.dieType, timeout: context.timeout, formula, reasons, rolloffId: this._getDialogMatchId(context), mode: context.mode, opponents, series: context.series ?? null, reroll: context.reroll ?? 0 };
+    }
+    rolloff?.pendingRolls.set(combatant.id, pending);
+    RolloffControlPanel.refresh();
+    try {
+      const result = await Promise.race([Promise.any(owners.map((owner) => this._queryUser(owner, queryName, queryData, { timeout }))), forced]);
+      if (context.signal?.aborted) return { combatant, roll: null, total: result.total };
+      console.log(`${MODULE.ID} | ✅ Got response for ${combatant.name}`);
+      const roll = Roll.fromData(result.roll);
+      await this._addRollToCard(context, combatant, roll, !!result.isAuto);
+      await this._broadcastRollUpdate(this._getDialogMatchId(context), combatant, result.total);
+      return { combatant, roll, total: result.total };
+    } catch (error) {
+      if (context.signal?.aborted) return { combatant, roll: null, total: 0 };
+      const reasons = error.errors?.map((e) => e.message).join('; ') ?? error.message;
+      console.warn(`${MODULE.ID} | ${ownerNames} failed to respond (${reasons}), auto-rolling`);
+      return await this._autoRoll(combatant, context, formula);
+    } finally {
+      if (rolloff?.pendingRolls.get(combatant.id) === pending) rolloff.pendingRolls.delete(combatant.id);
+      RolloffControlPanel.refresh();
+    }
+  }
+
+  /**
+   * Get the ID players' dialogs know a match by
+   * Every game of a best-of series shares the ID of the match the series decides
+   * @param {MatchContext} context - The match being resolved
+   * @returns {string} The series ID for a game in a series, otherwise the match ID
+   */
+  static _getDialogMatchId(context) {
+    return context.series?.id ?? context.matchId;
+  }
+
+  /**
+   * Get the roll a combatant makes, with rolloff rules applied
+   * Fires the `rollies.preRoll` hook, whose handlers may change `rollData.formula` and `rollData.reasons`
+   * @param {Combatant} combatant - The combatant about to roll
+   * @param {MatchContext} context - The match being resolved
+   * @returns {RollRequestData} The roll formula and why it differs from the rolloff formula
+   */
+  static _getRollRequest(combatant, context) {
+    const rollData = applyRolloffRules(context.formula, combatant);
+    Hooks.call(`${MODULE.ID}.preRoll`, combatant, rollData, context);
+    return rollData;
+  }
+
+  /**
+   * Send a query to a user, running the handler directly when the user is this client
+   * Lets the GM receive the same dialogs as players when rolling for their own combatants
+   * @param {User} user - The user to query
+   * @param {string} queryName - The registered query name
+   * @param {object} queryData - The query data
+   * @param {object} [queryOptions={}] - Query options
+   * @param {number} [queryOptions.timeout] - Timeout in milliseconds
+   * @returns {Promise<*>} The query result
+   */
+  static async _queryUser(user, queryName, queryData, { timeout } = {}) {
+    if (!user.isSelf) return await user.query(queryName, queryData, { timeout });
+    const handler = CONFIG.queries[queryName];
+    if (!timeout) return await handler(queryData, { timeout });
+    const timeoutPromise = new Promise((_, reject) => {
+      setTimeout(() => reject(new Error('Query timeout exceeded')), timeout);
+    });
+    return await Promise.race([handler(queryData, { timeout }), timeoutPromise]);
+  }
+
+  /**
+   * Roll the rolloff formula for a combatant on the GM client, against the combatant's actor roll data
+   * With Dice So Nice active, the roll is shown to every client and recorded once the dice have landed
+   * @param {Combatant} combatant - The combatant to roll for
+   * @param {MatchContext} context - The match being resolved
+   * @param {string} [formula] - Roll formula, resolved through the rolloff rules and preRoll hook if omitted
+   * @returns {Promise<CombatantRollResult>} The roll result
+   */
+  static async _autoRoll(combatant, context, formula = this._getRollRequest(combatant, context).formula) {
+    const roll = await createRolloffRoll(formula, combatant).evaluate({ allowInteractive: false });
+    await showRollAnimation(roll);
+    if (context.signal?.aborted) return { combatant, roll: null, total: roll.total };
+    await this._addRollToCard(context, combatant, roll, true);
+    await this._broadcastRollUpdate(this._getDialogMatchId(context), combatant, roll.total);
+    return { combatant, roll, total: roll.total };
+  }
+
+  /**
+   * Resolve a match by comparing a combatant statistic, rolling only if the highest value is shared
+   * As a reroll fallback, a shared highest value is settled with a coin flip instead
+   * @param {MatchContext} context - The match being resolved
+   * @param {Function} valueFn - Function returning the compared value for a combatant
+   * @returns {Promise<Array<CombatantRollResult>>} Results for every combatant
+   */
+  static async _compareThenRoll(context, valueFn) {
+    const results = context.combatants.map((combatant) => ({ combatant, roll: null, total: valueFn(combatant) }));
+    const maxTotal = Math.max(...results.map((r) => r.total));
+    if (results.filter((r) => r.total === maxTotal).length > 1) return await (context.fallback ? this._coinFlipStrategy(context) : this._rollStrategy(context));
+    for (const result of results) await this._broadcastRollUpdate(this._getDialogMatchId(context), result.combatant, result.total);
+    return results;
+  }
+
+  /**
+   * Resolve a match with a single coin flip (or an N-sided die for more than two combatants)
+   * The winner scores 1 and everyone else scores 0
+   * @param {MatchContext} context - The match being resolved
+   * @returns {Promise<Array<CombatantRollResult>>} Results for every combatant
+   */
+  static async _coinFlipStrategy(context) {
+    const roll = await new Roll(`1d${context.combatants.length}`).evaluate({ allowInteractive: false });
+    await showRollAnimation(roll);
+    const winner = context.combatants[roll.total - 1];
+    const results = context.combatants.map((combatant) => ({ combatant, roll: combatant === winner ? roll : null, total: combatant === winner ? 1 : 0 }));
+    for (const result of results) await this._broadcastRollUpdate(this._getDialogMatchId(context), result.combatant, result.total);
+    return results;
+  }
+
+  /**
+   * Resolve a match by letting the GM pick the winner
+   * Falls back to rolling if the GM dismisses the prompt, or to a coin flip when deciding a match that ran out of rerolls
+   * @param {MatchContext} context - The match being resolved
+   * @returns {Promise<Array<CombatantRollResult>>} Results for every combatant
+   */
+  static async _gmStrategy(context) {
+    const winnerId = await foundry.applications.api.DialogV2.wait({
+      window: { title: 'Rollies.Strategies.GMPrompt.Title' },
+      content: `<p>${game.i18n.localize('Rollies.Strategies.GMPrompt.Content')}</p>`,
+      buttons: context.combatants.map((c, index) => ({ action: c.id, label: c.name, default: index === 0 })),
+      rejectClose: false
+    });
+    if (!winnerId) return await (context.fallback ? this._coinFlipStrategy(context) : this._rollStrategy(context));
+    const results = context.combatants.map((combatant) => ({ combatant, roll: null, total: combatant.id === winnerId ? 1 : 0 }));
+    for (const result of results) await this._broadcastRollUpdate(this._getDialogMatchId(context), result.combatant, result.total);
+    return results;
+  }
+
   /**
    * Handle combat deletion
-   * Cleans up tracked data for the deleted combat
+   * Cleans up tracked data for the deleted combat, stops its running rolloffs and tells players to close their dialogs
+   * Nothing is written to the deleted combat or its chat card
    * @param {Combat} combat - The deleted combat encounter
    * @param {object} _options - Deletion options
    */
   static _onCombatDelete(combat, _options) {
-    this.processedCombats.delete(combat.id);
-    this.activeRolloffs.delete(combat.id);
+    this.processedTies.delete(combat.id);
+    for (const [rolloffId, rolloff] of this.activeRolloffs) {
+      if (rolloff.combat.id !== combat.id) continue;
+      this.activeRolloffs.delete(rolloffId);
+      rolloff.control?.override({ cancelled: true });
+      this._sendCancellation(rolloffId, 'combatDeleted');
+    }
+    RolloffControlPanel.refresh();
   }
 
   /**
@@ -71,13 +500,42 @@ export class RolloffManager {
    * @param {object} _options - Update options
    */
   static _onCombatantUpdate(combatant, update, _options) {
+    if ('initiative' in update && update.initiative === null) {
+      this._forgetTies(combatant);
+      this._clearRolloffFlags(combatant);
+      return;
+    }
     if (!update.initiative) return;
-    if (combatant.combat?.started) return;
+    if (combatant.combat?.started) {
+      if (game.settings.get(MODULE.ID, MODULE.SETTINGS.MID_COMBAT_ROLLOFFS)) {
+        setTimeout(() => {
+          this._checkForMidCombatTie(combatant);
+        }, 200);
+      }
+      return;
+    }
     setTimeout(() => {
       this._checkForInitiativeTies(combatant.combat);
     }, 200);
   }
 
+  /**
+   * Remove a combatant's recorded turn order and rolloff result once its initiative is cleared
+   * Keeps a later roll of the same initiative from restoring the old order or tracker badges
+   * @param {Combatant} combatant - The combatant whose initiative was cleared
+   * @returns {Promise<void>}
+   */
+  static async _clearRolloffFlags(combatant) {
+    if (!game.users.activeGM?.isSelf) return;
+    const flags = combatant.flags[MODULE.ID] ?? {};
+    if (!('turnOrder' in flags) && !('rolloffResult' in flags)) return;
+    try {
+      await combatant.update({ [`flags.${MODULE.ID}.-=turnOrder`]: null, [`flags.${MODULE.ID}.-=rolloffResult`]: null });
+    } catch (error) {
+      console.error(`${MODULE.ID} | Error clearing rolloff flags for ${combatant.name}:`, error);
+    }
+  }
+
   /**
    * Handle combatant creation
    * Checks for initiative ties when new combatant is added
@@ -85,56 +543,110 @@ export class RolloffManager {
    * @param {object} _options - Creation options
    */
   static _onCombatantCreate(combatant, _options) {
-    if (combatant.combat?.started) return;
+    if (combatant.combat?.started) {
+      if (game.settings.get(MODULE.ID, MODULE.SETTINGS.MID_COMBAT_ROLLOFFS)) {
+        setTimeout(() => {
+          this._checkForMidCombatTie(combatant);
+        }, 300);
+      }
+      return;
+    }
     setTimeout(() => {
       this._checkForInitiativeTies(combatant.combat);
     }, 300);
   }
 
+  /**
+   * Check whether a combatant added or re-rolled during combat tied an existing combatant
+   * Only the combatant and those sharing its initiative take part in the rolloff
+   * @param {Combatant} combatant - The added or re-rolled combatant
+   */
+  static _checkForMidCombatTie(combatant) {
+    const combat = combatant.combat;
+    if (!combat?.started || combatant.initiative === null || combatant.initiative === undefined) return;
+    const relevantCombatants = this._getRelevantCombatants(combat);
+    if (!relevantCombatants.some((c) => c.id === combatant.id)) return;
+    if (this._isInActiveRolloff([combatant])) return;
+    const opponents = relevantCombatants.filter((c) => c.id !== combatant.id && getSortInitiative(c) === getSortInitiative(combatant));
+    if (opponents.length === 0 || isIgnoredTie([combatant, ...opponents])) return;
+    console.log(`${MODULE.ID} | ⚡ Mid-combat tie detected for ${combatant.name}`);
+    this._handleInitiativeTies(combat, [[combatant, ...opponents]], { newcomerId: combatant.id });
+  }
+
   /**
    * Check for initiative ties in a combat encounter
    * @param {Combat} combat - The combat encounter to check
    */
   static _checkForInitiativeTies(combat) {
     if (!combat || combat.started) return;
-    if (this.processedCombats.has(combat.id)) return;
     const relevantCombatants = this._getRelevantCombatants(combat);
     const rolledCombatants = relevantCombatants.filter((c) => c.initiative !== null && c.initiative !== undefined);
     if (rolledCombatants.length !== relevantCombatants.length) return;
     if (rolledCombatants.length === 0) return;
-    const tieGroups = this._findTieGroups(rolledCombatants);
+    if (!this.processedTies.has(combat.id)) this.processedTies.set(combat.id, new Set());
+    const processed = this.processedTies.get(combat.id);
+    const tieGroups = this._findTieGroups(rolledCombatants).filter((group) => !processed.has(this._getTieKey(group)) && !this._isInActiveRolloff(group));
     if (tieGroups.length > 0) {
-      this.processedCombats.add(combat.id);
+      tieGroups.forEach((group) => processed.add(this._getTieKey(group)));
       this._handleInitiativeTies(combat, tieGroups);
     }
   }
 
   /**
-   * Get relevant combatants based on settings
+   * Build a key identifying a tie group by its initiative value and members
+   * @param {Array<Combatant>} group - The tied combatants
+   * @returns {string} Tie key in the form "initiative|id1,id2,..."
+   */
+  static _getTieKey(group) {
+    const ids = group.map((c) => c.id).sort();
+    return `${getSortInitiative(group[0])}|${ids.join(',')}`;
+  }
+
+  /**
+   * Check whether any combatant in a group is already part of a running rolloff
+   * @param {Array<Combatant>} group - The combatants to check
+   * @returns {boolean} True if any combatant is in an active rolloff
+   */
+  static _isInActiveRolloff(group) {
+    return [...this.activeRolloffs.values()].some((rolloff) => rolloff.combatants.some((c) => group.some((g) => g.id === c.id)));
+  }
+
+  /**
+   * Forget handled tie groups involving a combatant whose initiative was cleared
+   * Lets a reset and re-roll produce a fresh tie that is detected again
+   * @param {Combatant} combatant - The combatant whose initiative was cleared
+   */
+  static _forgetTies(combatant) {
+    const processed = this.processedTies.get(combatant.combat?.id);
+    if (!processed) return;
+    for (const key of processed) if (key.split('|')[1].split(',').includes(combatant.id)) processed.delete(key);
+  }
+
+  /**
+   * Get the combatants that take part in tie detection under the participant rules
    * @param {Combat} combat - The combat encounter
    * @returns {Array<Combatant>} Filtered array of combatants
    */
   static _getRelevantCombatants(combat) {
-    const includeNPCs = game.settings.get(MODULE.ID, MODULE.SETTINGS.INCLUDE_NPCS);
-    return combat.combatants.filter((combatant) => {
-      if (includeNPCs) return true;
-      return combatant.actor?.type === 'character';
-    });
+    const filter = getParticipantFilter();
+    return combat.combatants.filter((combatant) => isParticipant(combatant, combat, filter));
   }
 
   /**
    * Find groups of combatants with tied initiative
+   * Combatants are compared by their turn order, so a tie already settled as turn order only is not found again
+   * Ties among GM-owned combatants only are left out when the participant rules ignore them
    * @param {Array<Combatant>} combatants - Array of combatants to check
    * @returns {Array<Array<Combatant>>} Array of tie groups (each group has 2+ combatants)
    */
   static _findTieGroups(combatants) {
     const initiativeGroups = {};
     combatants.forEach((combatant) => {
-      const initiative = combatant.initiative;
+      const initiative = getSortInitiative(combatant);
       if (!initiativeGroups[initiative]) initiativeGroups[initiative] = [];
       initiativeGroups[initiative].push(combatant);
     });
-    return Object.values(initiativeGroups).filter((group) => group.length >= 2);
+    return Object.values(initiativeGroups).filter((group) => group.length >= 2 && !isIgnoredTie(group));
   }
 
   /**
@@ -142,44 +654,393 @@ export class RolloffManager {
    * Either auto-starts rolloffs or notifies GM based on settings
    * @param {Combat} combat - The combat encounter
    * @param {Array<Array<Combatant>>} tieGroups - Array of tie groups
+   * @param {RolloffOptions} [options={}] - Options applied to every rolloff started
    */
-  static _handleInitiativeTies(combat, tieGroups) {
+  static _handleInitiativeTies(combat, tieGroups, options = {}) {
     if (!game.user.isGM) return;
-    const autoRolloff = game.settings.get(MODULE.ID, MODULE.SETTINGS.AUTO_ROLLOFF);
-    if (autoRolloff) tieGroups.forEach((group) => this._startRolloffForGroup(combat, group));
-    else this._notifyGMOfTies(combat, tieGroups);
+    const autoRolloff = getSetting(MODULE.SETTINGS.AUTO_ROLLOFF, combat);
+    if (autoRolloff) tieGroups.forEach((group) => this._startRolloffForGroup(combat, group, options));
+    else this._notifyGMOfTies(combat, tieGroups, options);
   }
 
   /**
-   * Get dexterity score for a combatant
+   * Get the seeding attribute of a combatant, Dexterity unless the game system or the seeding attribute setting says otherwise
    * @param {Combatant} combatant - The combatant
-   * @returns {number} The dexterity score
+   * @returns {number} The attribute value
    */
-  static _getDexterity(combatant) {
-    const actor = combatant.actor;
-    if (!actor) return 0;
-    return actor.system?.abilities?.dex?.value || 0;
+  static _getSeedValue(combatant) {
+    return getSeedValue(combatant);
+  }
+
+  /**
+   * Get the initiative modifier for a combatant
+   * @param {Combatant} combatant - The combatant
+   * @returns {number} The initiative modifier
+   */
+  static _getInitiativeModifier(combatant) {
+    const init = combatant.actor?.system?.attributes?.init;
+    return init?.total ?? init?.mod ?? 0;
   }
 
   /**
    * Start a rolloff for a group of tied combatants
+   * Fires the `rollies.preRolloff` hook first; handlers may return false to cancel, or edit the participants and options in place
    * @param {Combat} combat - The combat encounter
    * @param {Array<Combatant>} tiedCombatants - Array of tied combatants
-   * @returns {Promise<void>}
+   * @param {RolloffOptions} [options={}] - Rolloff options
+   * @returns {Promise<Array<RolloffPlacement>|null>} Placements in finishing order, or null if the rolloff was cancelled or failed
+   */
+  static async _startRolloffForGroup(combat, tiedCombatants, options = {}) {
+    const participants = [...tiedCombatants];
+    const rolloffOptions = { ...options };
+    if (Hooks.call(`${MODULE.ID}.preRolloff`, combat, participants, rolloffOptions) === false) {
+      console.log(`${MODULE.ID} | 🚫 Rolloff cancelled by preRolloff hook`);
+      return null;
+    }
+    if (participants.length < 2) {
+      console.log(`${MODULE.ID} | 🚫 Rolloff skipped, fewer than two participants remain`);
+      return null;
+    }
+    const rolloffId = `${combat.id}-${foundry.utils.randomID()}`;
+    const mode = rolloffOptions.mode ?? (participants.length === 2 ? 'pair' : getSetting(MODULE.SETTINGS.MULTI_TIE_MODE, combat));
+    const dieType = rolloffOptions.dieType ?? getSetting(MODULE.SETTINGS.ROLLOFF_DIE, combat);
+    this.activeRolloffs.set(rolloffId, {
+      combat,
+      combatants: participants,
+      mode,
+      dieType,
+      formula: rolloffOptions.formula ?? (rolloffOptions.dieType ? `1${dieType}` : getRolloffFormula(combat)),
+      timeout: rolloffOptions.timeout ?? getSetting(MODULE.SETTINGS.ROLLOFF_TIMEOUT, combat),
+      strategyId: rolloffOptions.strategy ?? null,
+      winsNeeded: rolloffOptions.winsNeeded ?? game.settings.get(MODULE.ID, MODULE.SETTINGS.MATCH_FORMAT),
+      updateInitiative: rolloffOptions.updateInitiative ?? true,
+      results: new Map(),
+      currentMatchId: null,
+      standings: null,
+      newcomerId: rolloffOptions.newcomerId ?? null,
+      card: null,
+      pendingRolls: new Map(),
+      control: null
+    });
+    return await this._runRolloff(rolloffId);
+  }
+
+  /**
+   * Run a tracked rolloff to completion and apply its finishing order
+   * Progress is saved to the combat after every match; the record is removed once the rolloff ends
+   * @param {string} rolloffId - The rolloff ID
+   * @param {boolean} [resumed=false] - Whether the rolloff is being resumed after a GM reload
+   * @returns {Promise<Array<RolloffPlacement>|null>} Placements in finishing order, or null if the rolloff was cancelled or failed
    */
-  static async _startRolloffForGroup(combat, tiedCombatants) {
-    const rolloffId = `${combat.id}-${tiedCombatants[0].initiative}-${Date.now()}`;
-    if (this.activeRolloffs.has(rolloffId)) return;
-    const mode = tiedCombatants.length === 2 ? 'pair' : 'bracket';
-    this.activeRolloffs.set(rolloffId, { combat, combatants: tiedCombatants, mode, rolls: new Map() });
+  static async _runRolloff(rolloffId, resumed = false) {
+    const rolloff = this.activeRolloffs.get(rolloffId);
+    const { combat, combatants, mode } = rolloff;
     try {
-      if (mode === 'pair') await this._conductPairRolloff(combat, tiedCombatants, rolloffId);
-      else await this._conductBracketRolloff(combat, tiedCombatants, rolloffId);
+      if (!game.messages.has(rolloff.card?.messageId)) await this._createChatCard(rolloffId);
+      await this._saveRolloff(rolloffId);
+      Hooks.callAll(`${MODULE.ID}.rolloffStart`, { ...this._getHookPayload(rolloffId), resumed });
+      if (!rolloff.standings) {
+        if (mode === 'pair') rolloff.standings = await this._conductPairRolloff(combat, combatants, rolloffId);
+        else if (mode === 'elimination') rolloff.standings = await this._conductEliminationRolloff(combat, combatants, rolloffId);
+        else rolloff.standings = await this._conductBracketRolloff(combat, combatants, rolloffId);
+        await this._saveRolloff(rolloffId);
+      }
+      if (!this.activeRolloffs.has(rolloffId)) return null;
+      const placements = await this._applyRolloffStandings(combat, rolloff.standings, rolloffId);
+      await recordRolloffStats(placements, rolloff.card);
+      Hooks.callAll(`${MODULE.ID}.rolloffComplete`, { ...this._getHookPayload(rolloffId), placements });
+      return placements;
     } catch (error) {
       console.error(`${MODULE.ID} | Error in rolloff:`, error);
+      return null;
     } finally {
       this.activeRolloffs.delete(rolloffId);
+      RolloffControlPanel.refresh();
+      try {
+        await this._clearRolloffRecord(combat, rolloffId);
+      } catch (error) {
+        console.error(`${MODULE.ID} | Error clearing saved rolloff ${rolloffId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Check whether a match has used up its rerolls and must be decided by the reroll fallback
+   * @param {number} reroll - How many times the match has been rerolled
+   * @returns {boolean} Whether the reroll limit has been passed; never true when rerolls are unlimited
+   */
+  static _isRerollLimitReached(reroll) {
+    const maxRerolls = game.settings.get(MODULE.ID, MODULE.SETTINGS.MAX_REROLLS);
+    return maxRerolls > 0 && reroll > maxRerolls;
+  }
+
+  /**
+   * Tell the GM a match tied again, and whether it is rerolled or decided by the reroll fallback
+   * @param {number} reroll - The reroll about to be made
+   */
+  static _notifyTie(reroll) {
+    if (!this._isRerollLimitReached(reroll)) {
+      ui.notifications.info(game.i18n.localize('Rollies.Messages.AnotherTie'));
+      return;
+    }
+    const method = getRerollFallbacks()[game.settings.get(MODULE.ID, MODULE.SETTINGS.REROLL_FALLBACK)];
+    ui.notifications.info(game.i18n.format('Rollies.Messages.RerollLimit', { count: reroll - 1, method }));
+  }
+
+  /**
+   * Resolve a match with the configured strategy, recording the totals on the rolloff
+   * Matches already recorded, such as those replayed after a resume, reuse their totals instead of being resolved again.
+   * Rerolls of a tie roll a larger die if die escalation is enabled, and a match past the reroll limit is decided by the reroll fallback instead.
+   * The GM control panel can restart the match or declare its winner while the strategy is still waiting.
+   * @param {MatchContext} context - The match being resolved
+   * @returns {Promise<Array<CombatantRollResult>>} Results for every combatant
+   * @throws {Error} If the rolloff was cancelled
+   */
+  static async _resolveMatch(context) {
+    const rolloff = this.activeRolloffs.get(context.rolloffId);
+    if (!rolloff) throw new Error(`Rolloff ${context.rolloffId} was cancelled`);
+    const reroll = context.reroll ?? 0;
+    const steps = game.settings.get(MODULE.ID, MODULE.SETTINGS.DIE_ESCALATION) ? reroll : 0;
+    const fallback = this._isRerollLimitReached(reroll);
+    context = { ...context, dieType: escalateDie(rolloff.dieType, steps), formula: escalateFormula(rolloff.formula, steps), timeout: rolloff.timeout, reroll, fallback };
+    const strategy = fallback ? this._getStrategy(game.settings.get(MODULE.ID, MODULE.SETTINGS.REROLL_FALLBACK)) : this._getStrategy(rolloff.strategyId ?? undefined);
+    const recorded = rolloff.results.get(context.matchId);
+    if (recorded) {
+      console.log(`${MODULE.ID} | ⏩ Replaying recorded match ${context.matchId}`);
+      const results = recorded.map(({ combatantId, total }) => ({ combatant: context.combatants.find((c) => c.id === combatantId), roll: null, total }));
+      for (const result of results) await this._broadcastRollUpdate(this._getDialogMatchId(context), result.combatant, result.total);
+      return results;
+    }
+    rolloff.currentMatchId = context.matchId;
+    let results = null;
+    while (!results) {
+      const controller = new AbortController();
+      let override;
+      const overridden = new Promise((resolve) => {
+        override = resolve;
+      });
+      rolloff.control = { controller, override };
+      await this._startCardMatch(context);
+      await this._saveRolloff(context.rolloffId);
+      const outcome = await Promise.race([strategy.resolve({ ...context, signal: controller.signal }), overridden]);
+      controller.abort();
+      rolloff.control = null;
+      if (!this.activeRolloffs.has(context.rolloffId)) throw new Error(`Rolloff ${context.rolloffId} was cancelled`);
+      if (Array.isArray(outcome)) results = outcome;
+      else if (outcome.winnerId) results = await this._getDeclaredResults(context, outcome.winnerId);
+      else console.log(`${MODULE.ID} | 🔁 GM restarted match ${context.matchId}`);
+    }
+    rolloff.results.set(context.matchId, results.map((r) => ({ combatantId: r.combatant.id, total: r.total })));
+    rolloff.currentMatchId = null;
+    await this._finishCardMatch(context, results);
+    await this._saveRolloff(context.rolloffId);
+    Hooks.callAll(`${MODULE.ID}.matchResolved`, { rolloffId: context.rolloffId, matchId: context.matchId, mode: context.mode, combat: context.combat, combatants: context.combatants, series: context.series ?? null, results });
+    return results;
+  }
+
+  /**
+   * Build the payload for rolloff lifecycle hooks
+   * @param {string} rolloffId - The rolloff ID
+   * @returns {RolloffHookPayload} Hook payload
+   */
+  static _getHookPayload(rolloffId) {
+    const rolloff = this.activeRolloffs.get(rolloffId);
+    return {
+      rolloffId,
+      combat: rolloff.combat,
+      combatants: rolloff.combatants,
+      mode: rolloff.mode,
+      dieType: rolloff.dieType,
+      formula: rolloff.formula,
+      timeout: rolloff.timeout,
+      strategy: this._getStrategy(rolloff.strategyId ?? undefined).id,
+      winsNeeded: rolloff.winsNeeded,
+      newcomerId: rolloff.newcomerId
+    };
+  }
+
+  /**
+   * Save a rolloff's progress to its combat
+   * @param {string} rolloffId - The rolloff ID
+   * @returns {Promise<void>}
+   */
+  static async _saveRolloff(rolloffId) {
+    const rolloff = this.activeRolloffs.get(rolloffId);
+    if (!rolloff || !game.combats.has(rolloff.combat.id)) return;
+    /** @type {RolloffRecord} */
+    const record = {
+      id: rolloffId,
+      userId: game.user.id,
+      combatantIds: rolloff.combatants.map((c) => c.id),
+      initiatives: rolloff.combatants.map((c) => c.initiative),
+      mode: rolloff.mode,
+      dieType: rolloff.dieType,
+      formula: rolloff.formula,
+      timeout: rolloff.timeout,
+      strategyId: rolloff.strategyId,
+      winsNeeded: rolloff.winsNeeded,
+      updateInitiative: rolloff.updateInitiative,
+      newcomerId: rolloff.newcomerId,
+      bracket: rolloff.bracket ?? null,
+      results: [...rolloff.results].map(([matchId, totals]) => ({ matchId, totals })),
+      currentMatchId: rolloff.currentMatchId,
+      standings: rolloff.standings?.map((c) => c.id) ?? null,
+      card: rolloff.card ? { ...rolloff.card, rolls: [] } : null
+    };
+    await rolloff.combat.setFlag(MODULE.ID, `rolloffs.${rolloffId}`, record);
+  }
+
+  /**
+   * Remove a rolloff's saved progress from its combat
+   * @param {Combat} combat - The combat encounter
+   * @param {string} rolloffId - The rolloff ID
+   * @returns {Promise<void>}
+   */
+  static async _clearRolloffRecord(combat, rolloffId) {
+    if (!game.combats.has(combat.id) || !combat.getFlag(MODULE.ID, `rolloffs.${rolloffId}`)) return;
+    await combat.unsetFlag(MODULE.ID, `rolloffs.${rolloffId}`);
+  }
+
+  /**
+   * Resume or cancel rolloffs left unfinished by a GM reload
+   * A rolloff is resumed by the GM who started it, or by the active GM if that user is offline.
+   * It is cancelled instead if a participant has left the combat or re-rolled initiative since.
+   * @returns {Promise<void>}
+   */
+  static async resumeRolloffs() {
+    if (!game.user.isGM) return;
+    for (const combat of game.combats) {
+      const records = Object.values(combat.getFlag(MODULE.ID, 'rolloffs') ?? {});
+      for (const record of records) {
+        if (this.activeRolloffs.has(record.id)) continue;
+        const runner = game.users.get(record.userId);
+        if (record.userId !== game.user.id && (runner?.active || !game.users.activeGM?.isSelf)) continue;
+        const combatants = record.combatantIds.map((id) => combat.combatants.get(id));
+        const changed = combatants.some((c, index) => !c || (!record.standings && c.initiative !== record.initiatives[index]));
+        if (changed) await this.cancelRolloff(record.id);
+        else this._resumeRolloff(combat, record, combatants);
+      }
+    }
+  }
+
+  /**
+   * Restore a saved rolloff and run it from where it stopped
+   * Resolved matches are replayed from their recorded totals so player dialogs catch up
+   * @param {Combat} combat - The combat encounter
+   * @param {RolloffRecord} record - The saved rolloff
+   * @param {Array<Combatant>} combatants - The tied combatants
+   * @returns {Promise<void>}
+   * @private
+   */
+  static async _resumeRolloff(combat, record, combatants) {
+    console.log(`${MODULE.ID} | ♻️ Resuming rolloff ${record.id}`, { mode: record.mode, resolvedMatches: record.results.length, currentMatchId: record.currentMatchId });
+    ui.notifications.info(game.i18n.format('Rollies.Messages.RolloffResumed', { names: combatants.map((c) => c.name).join(', ') }));
+    this.activeRolloffs.set(record.id, {
+      combat,
+      combatants,
+      mode: record.mode,
+      dieType: record.dieType,
+      formula: record.formula ?? `1${record.dieType}`,
+      timeout: record.timeout,
+      strategyId: record.strategyId,
+      winsNeeded: record.winsNeeded ?? 1,
+      updateInitiative: record.updateInitiative,
+      results: new Map(record.results.map(({ matchId, totals }) => [matchId, totals])),
+      currentMatchId: record.currentMatchId,
+      standings: record.standings?.map((id) => combat.combatants.get(id)) ?? null,
+      bracket: record.bracket ?? undefined,
+      newcomerId: record.newcomerId,
+      card: record.card ? { ...record.card, rolls: game.messages.get(record.card.messageId)?.rolls ?? [] } : null,
+      pendingRolls: new Map(),
+      control: null
+    });
+    await this._runRolloff(record.id, true);
+  }
+
+  /**
+   * Cancel a rolloff, discarding its saved progress and closing every player's rolloff dialogs
+   * Initiative is left as it was when the tie was found
+   * @param {string} rolloffId - The rolloff ID
+   * @returns {Promise<void>}
+   */
+  static async cancelRolloff(rolloffId) {
+    const rolloff = this.activeRolloffs.get(rolloffId);
+    const combat = rolloff?.combat ?? game.combats.find((c) => c.getFlag(MODULE.ID, `rolloffs.${rolloffId}`));
+    const record = combat?.getFlag(MODULE.ID, `rolloffs.${rolloffId}`);
+    const card = rolloff?.card ?? (record?.card ? { ...record.card, rolls: game.messages.get(record.card.messageId)?.rolls ?? [] } : null);
+    console.log(`${MODULE.ID} | 🛑 Cancelling rolloff ${rolloffId}`);
+    this.activeRolloffs.delete(rolloffId);
+    rolloff?.control?.override({ cancelled: true });
+    RolloffControlPanel.refresh();
+    if (card) {
+      card.cancelled = true;
+      await this._writeChatCard(card);
     }
+    if (combat) await this._clearRolloffRecord(combat, rolloffId);
+    await this._sendCancellation(rolloffId);
+  }
+
+  /**
+   * Tell every player, and this GM, to close their dialogs for a cancelled rolloff
+   * @param {string} rolloffId - The rolloff ID
+   * @param {string} [reason='cancelled'] - Why the rolloff ended: 'cancelled', or 'combatDeleted' which closes the dialogs without a notification
+   * @returns {Promise<void>}
+   */
+  static async _sendCancellation(rolloffId, reason = 'cancelled') {
+    for (const user of game.users) {
+      if (user.active && (!user.isGM || user.isSelf)) {
+        try {
+          await this._queryUser(user, `${MODULE.ID}.cancelRolloff`, { rolloffId, reason }, { timeout: 1000 });
+        } catch (error) {
+          console.warn(`${MODULE.ID} | Failed to send rolloff cancellation to ${user.name}`, error);
+        }
+      }
+    }
+  }
+
+  /**
+   * Stop waiting for a player and auto-roll for their combatant in the current match
+   * @param {string} rolloffId - The rolloff ID
+   * @param {string} combatantId - The combatant whose roll is pending
+   */
+  static forceAutoRoll(rolloffId, combatantId) {
+    const pending = this.activeRolloffs.get(rolloffId)?.pendingRolls.get(combatantId);
+    if (!pending) return;
+    console.log(`${MODULE.ID} | ⏩ GM forced an auto-roll for ${combatantId} in ${pending.matchId}`);
+    pending.forceAutoRoll();
+  }
+
+  /**
+   * Discard the current match's rolls and resolve it again
+   * @param {string} rolloffId - The rolloff ID
+   */
+  static restartMatch(rolloffId) {
+    this.activeRolloffs.get(rolloffId)?.control?.override({ restart: true });
+  }
+
+  /**
+   * Settle the current match with a winner chosen by the GM
+   * @param {string} rolloffId - The rolloff ID
+   * @param {string} combatantId - The combatant declared the winner
+   */
+  static declareMatchWinner(rolloffId, combatantId) {
+    this.activeRolloffs.get(rolloffId)?.control?.override({ winnerId: combatantId });
+  }
+
+  /**
+   * Build results for a match whose winner the GM declared
+   * The winner scores 1 and everyone else scores 0, as with a coin flip
+   * @param {MatchContext} context - The match being resolved
+   * @param {string} winnerId - The declared winner's combatant ID
+   * @returns {Promise<Array<CombatantRollResult>>} Results for every combatant
+   */
+  static async _getDeclaredResults(context, winnerId) {
+    console.log(`${MODULE.ID} | 👑 GM declared ${winnerId} the winner of ${context.matchId}`);
+    const match = this.activeRolloffs.get(context.rolloffId)?.card?.matches.findLast((m) => m.matchId === context.matchId);
+    if (match) match.declared = true;
+    const results = context.combatants.map((combatant) => ({ combatant, roll: null, total: combatant.id === winnerId ? 1 : 0 }));
+    for (const result of results) await this._broadcastRollUpdate(this._getDialogMatchId(context), result.combatant, result.total);
+    return results;
   }
 
   /**
@@ -194,9 +1055,9 @@ export class RolloffManager {
     const updateData = { rolloffId, combatantId: combatant.id, total, name: combatant.name, img: combatant.img || combatant.actor?.img };
     console.log(`${MODULE.ID} | 🔔 Broadcasting roll update:`, updateData);
     for (const user of game.users) {
-      if (user.active && !user.isGM) {
+      if (user.active && (!user.isGM || user.isSelf)) {
         try {
-          await user.query(`${MODULE.ID}.rollUpdate`, updateData, { timeout: 1000 });
+          await this._queryUser(user, `${MODULE.ID}.rollUpdate`, updateData, { timeout: 1000 });
           console.log(`${MODULE.ID} | ✅ Sent to ${user.name}`);
         } catch (error) {
           console.warn(`${MODULE.ID} | ⚠️ Failed to send to ${user.name}`, error);
@@ -218,9 +1079,9 @@ export class RolloffManager {
     const updateData = { tournamentId, matchId, winner, loser };
     console.log(`${MODULE.ID} | 🏁 Broadcasting match complete:`, updateData);
     for (const user of game.users) {
-      if (user.active && !user.isGM) {
+      if (user.active && (!user.isGM || user.isSelf)) {
         try {
-          await user.query(`${MODULE.ID}.matchComplete`, updateData, { timeout: 1000 });
+          await this._queryUser(user, `${MODULE.ID}.matchComplete`, updateData, { timeout: 1000 });
         } catch (error) {
           console.warn(`${MODULE.ID} | Failed to broadcast match complete to ${user.name}`, error);
         }
@@ -228,81 +1089,98 @@ export class RolloffManager {
     }
   }
 
+  /**
+   * Broadcast a settled finishing place to all users
+   * @param {string} tournamentId - The tournament ID
+   * @param {string} roundId - The round that settled the place
+   * @param {Combatant} combatant - The combatant whose place is settled
+   * @param {number} place - One-based finishing place
+   * @returns {Promise<void>}
+   * @private
+   */
+  static async _broadcastPlacement(tournamentId, roundId, combatant, place) {
+    const updateData = { tournamentId, roundId, combatantId: combatant.id, place };
+    console.log(`${MODULE.ID} | 🏅 Broadcasting placement:`, updateData);
+    for (const user of game.users) {
+      if (user.active && (!user.isGM || user.isSelf)) {
+        try {
+          await this._queryUser(user, `${MODULE.ID}.placementSettled`, updateData, { timeout: 1000 });
+        } catch (error) {
+          console.warn(`${MODULE.ID} | Failed to broadcast placement to ${user.name}`, error);
+        }
+      }
+    }
+  }
+
   /**
    * Conduct a rolloff between two combatants
    * @param {Combat} combat - The combat encounter
    * @param {Array<Combatant>} tiedCombatants - Array of 2 tied combatants
    * @param {string} rolloffId - Unique rolloff identifier
-   * @returns {Promise<void>}
+   * @param {string} [matchId=rolloffId] - ID of this roll, which differs from the rolloff ID when re-rolling a tie
+   * @param {number} [reroll=0] - How many times the tie has been rerolled
+   * @returns {Promise<Array<Combatant>>} Combatants in finishing order
    */
-  static async _conductPairRolloff(combat, tiedCombatants, rolloffId) {
-    const dieType = game.settings.get(MODULE.ID, MODULE.SETTINGS.ROLLOFF_DIE);
-    const opponentsData = tiedCombatants.map((c) => ({ id: c.id, name: c.name, img: c.img || c.actor?.img, userId: this._getOwnerUser(c)?.id }));
-    const rollPromises = tiedCombatants.map(async (combatant, index) => {
-      const opponents = [opponentsData[1 - index]];
-      const owner = this._getOwnerUser(combatant);
-      if (!owner) {
-        const roll = await new Roll(`1${dieType}`).evaluate({ allowInteractive: false });
-        await this._createAutoRollChatMessage(combatant, roll);
-        await this._broadcastRollUpdate(rolloffId, combatant, roll.total);
-        return { combatant, roll: roll, total: roll.total };
-      }
-      try {
-        const queryData = { combatantId: combatant.id, dieType: dieType, rolloffId: rolloffId, mode: 'pair', opponents: opponents };
-        const result = await owner.query(`${MODULE.ID}.requestRoll`, queryData, {
-          timeout: game.settings.get(MODULE.ID, MODULE.SETTINGS.ROLLOFF_TIMEOUT) * 1000
-        });
-        await this._broadcastRollUpdate(rolloffId, combatant, result.total);
-        return { combatant, roll: Roll.fromData(result.roll), total: result.total };
-      } catch (error) {
-        console.warn(`${MODULE.ID} | Player ${owner.name} failed to respond (${error.message}), auto-rolling`);
-        const roll = await new Roll(`1${dieType}`).evaluate({ allowInteractive: false });
-        await this._createAutoRollChatMessage(combatant, roll);
-        await this._broadcastRollUpdate(rolloffId, combatant, roll.total);
-        return { combatant, roll: roll, total: roll.total };
+  static async _conductPairRolloff(combat, tiedCombatants, rolloffId, matchId = rolloffId, reroll = 0) {
+    const context = { combat, rolloffId, combatants: tiedCombatants, matchId, tournamentId: null, mode: 'pair', reroll };
+    const winsNeeded = this.activeRolloffs.get(rolloffId)?.winsNeeded ?? 1;
+    if (tiedCombatants.length === 2 && winsNeeded > 1) {
+      const { winner, loser } = await this._conductSeries(context, winsNeeded);
+      return [winner, loser];
+    }
+    const results = await this._resolveMatch(context);
+    return await this._resolveRolloff(combat, results, rolloffId, matchId, reroll);
+  }
+
+  /**
+   * Play a two-combatant match as a best-of series, game by game, until one combatant has won enough games
+   * Games are resolved as matches `<matchId>-g<game>`, and rerolls of a tied game as `<matchId>-g<game>-r<reroll>`, so a resumed rolloff replays the games already played; tied games do not count
+   * @param {MatchContext} context - The match the series decides
+   * @param {number} winsNeeded - Games a combatant must win to take the series
+   * @returns {Promise<{winner: Combatant, loser: Combatant}>} The series winner and loser
+   */
+  static async _conductSeries(context, winsNeeded) {
+    const wins = new Map(context.combatants.map((c) => [c.id, 0]));
+    const getScore = () => context.combatants.map((c) => ({ combatantId: c.id, name: c.name, wins: wins.get(c.id) }));
+    let gameNumber = 1;
+    let reroll = 0;
+    while (Math.max(...wins.values()) < winsNeeded) {
+      const series = { id: context.matchId, game: gameNumber, winsNeeded, score: getScore() };
+      const gameContext = { ...context, matchId: `${context.matchId}-g${gameNumber}${reroll ? `-r${reroll}` : ''}`, series, reroll };
+      const results = await this._resolveMatch(gameContext);
+      const maxTotal = Math.max(...results.map((r) => r.total));
+      const top = results.filter((r) => r.total === maxTotal);
+      if (top.length > 1) {
+        reroll++;
+        this._notifyTie(reroll);
+      } else {
+        reroll = 0;
+        gameNumber++;
+        wins.set(top[0].combatant.id, wins.get(top[0].combatant.id) + 1);
       }
-    });
-    const results = await Promise.all(rollPromises);
-    await this._resolveRolloff(combat, results, rolloffId);
+      await this._setCardMatchScore(gameContext, getScore());
+    }
+    const [winner, loser] = [...context.combatants].sort((a, b) => wins.get(b.id) - wins.get(a.id));
+    console.log(`${MODULE.ID} | 🎯 ${winner.name} took series ${context.matchId} ${wins.get(winner.id)}-${wins.get(loser.id)}`);
+    return { winner, loser };
   }
 
   /**
    * Build bracket structure
+   * Combatants are seeded by the seeding attribute, lowest first, so the highest seed receives any bye.
+   * Losers of each round play off for the places below, so every combatant finishes with a unique place.
    * @param {Array<Combatant>} combatants - Array of tied combatants
    * @param {string} baseTournamentId - Base tournament ID
    * @returns {object} Bracket structure
    */
   static _buildBracket(combatants, baseTournamentId) {
-    const sorted = [...combatants].sort((a, b) => this._getDexterity(a) - this._getDexterity(b));
-    const bracket = {
-      rounds: [],
-      combatants: sorted.map((c) => ({ id: c.id, name: c.name, img: c.img || c.actor?.img, dex: this._getDexterity(c) }))
+    const sorted = [...combatants].sort((a, b) => this._getSeedValue(a) - this._getSeedValue(b));
+    const entrants = sorted.map((c) => ({ id: c.id, name: c.name, img: c.img || c.actor?.img, seed: this._getSeedValue(c) }));
+    return {
+      ...buildTournament(entrants, baseTournamentId),
+      seedLabel: getSeedLabel(),
+      combatants: sorted.map((c) => ({ id: c.id, name: c.name, img: c.img || c.actor?.img, seed: this._getSeedValue(c) }))
     };
-    bracket.rounds.push({
-      roundNumber: 0,
-      matches: [
-        {
-          matchId: `${baseTournamentId}-r0-m0`,
-          combatant1: { id: sorted[0].id, name: sorted[0].name, img: sorted[0].img || sorted[0].actor?.img },
-          combatant2: { id: sorted[1].id, name: sorted[1].name, img: sorted[1].img || sorted[1].actor?.img },
-          winner: null,
-          loser: null
-        }
-      ]
-    });
-    bracket.rounds.push({
-      roundNumber: 1,
-      matches: [
-        {
-          matchId: `${baseTournamentId}-r1-m0`,
-          combatant1: { id: sorted[2].id, name: sorted[2].name, img: sorted[2].img || sorted[2].actor?.img },
-          combatant2: null,
-          winner: null,
-          loser: null
-        }
-      ]
-    });
-    return bracket;
   }
 
   /**
@@ -310,222 +1188,531 @@ export class RolloffManager {
    * @param {Combat} combat - The combat encounter
    * @param {Array<Combatant>} tiedCombatants - Array of tied combatants
    * @param {string} tournamentId - Unique tournament identifier
-   * @returns {Promise<void>}
+   * @returns {Promise<Array<Combatant>>} Combatants in finishing order
    */
   static async _conductBracketRolloff(combat, tiedCombatants, tournamentId) {
-    const bracket = this._buildBracket(tiedCombatants, tournamentId);
     const rolloffData = this.activeRolloffs.get(tournamentId);
-    if (rolloffData) {
-      rolloffData.bracket = bracket;
-      rolloffData.dialogs = new Map();
-    }
+    const bracket = rolloffData.bracket ?? this._buildBracket(tiedCombatants, tournamentId);
+    rolloffData.bracket = bracket;
     console.log(`${MODULE.ID} | 🏆 Starting bracket tournament:`, tournamentId);
     for (const combatant of tiedCombatants) {
-      const owner = this._getOwnerUser(combatant);
-      if (owner) {
+      for (const owner of this._getOwnerUsers(combatant)) {
         try {
-          await owner.query(`${MODULE.ID}.createBracketDialog`, { combatantId: combatant.id, tournamentId: tournamentId, bracket: bracket }, { timeout: 5000 });
+          await this._queryUser(owner, `${MODULE.ID}.createBracketDialog`, { combatId: combat.id, combatantId: combatant.id, tournamentId: tournamentId, bracket: bracket, dieType: rolloffData.dieType, formula: rolloffData.formula, timeout: rolloffData.timeout }, { timeout: 5000 });
           console.log(`${MODULE.ID} | ✅ Created dialog for ${owner.name}`);
         } catch (error) {
           console.warn(`${MODULE.ID} | Failed to create dialog for ${owner.name}`, error);
         }
       }
     }
-    const match0 = bracket.rounds[0].matches[0];
-    const combatant1 = tiedCombatants.find((c) => c.id === match0.combatant1.id);
-    const combatant2 = tiedCombatants.find((c) => c.id === match0.combatant2.id);
-    await this._conductBracketMatch(combat, combatant1, combatant2, match0, tournamentId);
-    const match1 = bracket.rounds[1].matches[0];
-    match1.combatant2 = match0.winner;
-    const combatant3 = tiedCombatants.find((c) => c.id === match1.combatant1.id);
-    const winnerFromR0 = tiedCombatants.find((c) => c.id === match0.winner.id);
-    console.log(`${MODULE.ID} | 🔍 Round 1 combatant lookup:`, {
-      match1Combatant1Id: match1.combatant1.id,
-      match0WinnerId: match0.winner.id,
-      combatant3Found: !!combatant3,
-      combatant3Name: combatant3?.name,
-      winnerFromR0Found: !!winnerFromR0,
-      winnerFromR0Name: winnerFromR0?.name,
-      tiedCombatantIds: tiedCombatants.map((c) => ({ id: c.id, name: c.name }))
-    });
-    if (!combatant3 || !winnerFromR0) {
-      console.error(`${MODULE.ID} | ❌ Failed to find combatants for round 1!`);
-      return;
-    }
-    await this._conductBracketMatch(combat, combatant3, winnerFromR0, match1, tournamentId);
-    const finalWinner = combat.combatants.get(match1.winner.id);
-    const winnerData = { name: finalWinner.name, img: finalWinner.img || finalWinner.actor?.img, initiative: finalWinner.initiative, tournamentId: tournamentId };
-    for (const user of game.users) {
-      if (user.active) {
-        try {
-          await user.query(`${MODULE.ID}.showWinner`, { winner: winnerData }, { timeout: 5000 });
-        } catch (error) {
-          console.warn(`${MODULE.ID} | Could not show winner to ${user.name}:`, error.message);
+    for (const round of bracket.rounds) {
+      for (const match of round.matches) {
+        const combatant1 = tiedCombatants.find((c) => c.id === match.combatant1?.id);
+        const combatant2 = tiedCombatants.find((c) => c.id === match.combatant2?.id);
+        if (!combatant1 || !combatant2) {
+          console.error(`${MODULE.ID} | ❌ Failed to find combatants for match ${match.matchId}!`, { match, tiedCombatantIds: tiedCombatants.map((c) => ({ id: c.id, name: c.name })) });
+          throw new Error(`Missing combatants for match ${match.matchId}`);
         }
+        await this._conductBracketMatch(combat, combatant1, combatant2, match, tournamentId, round);
+        advanceBracket(bracket, match.matchId, match.winner, match.loser);
+        await this._saveRolloff(tournamentId);
       }
     }
+    return bracket.standings.map((slot) => tiedCombatants.find((c) => c.id === resolveSlot(bracket, slot).id));
   }
 
   /**
    * Conduct a single bracket match
+   * The match is one roll, replayed on a tie, or a best-of series if the match format needs more than one win
    * @param {Combat} combat - The combat encounter
    * @param {Combatant} combatant1 - First combatant
    * @param {Combatant} combatant2 - Second combatant
    * @param {object} match - Match data object
    * @param {string} tournamentId - Tournament identifier
+   * @param {object} round - The bracket round the match belongs to
+   * @param {number} [reroll=0] - How many times the match has been rerolled after a tie
    * @returns {Promise<void>}
    * @private
    */
-  static async _conductBracketMatch(combat, combatant1, combatant2, match, tournamentId) {
-    const dieType = game.settings.get(MODULE.ID, MODULE.SETTINGS.ROLLOFF_DIE);
+  static async _conductBracketMatch(combat, combatant1, combatant2, match, tournamentId, round, reroll = 0) {
     console.log(`${MODULE.ID} | 🥊 Starting match ${match.matchId}:`, {
       combatant1: { id: combatant1?.id, name: combatant1?.name },
       combatant2: { id: combatant2?.id, name: combatant2?.name }
     });
-    const matchCombatants = [combatant1, combatant2];
-    const rollPromises = matchCombatants.map(async (combatant) => {
-      const owner = this._getOwnerUser(combatant);
-      console.log(`${MODULE.ID} | 👤 Owner lookup for ${combatant?.name}:`, {
-        combatantId: combatant?.id,
-        ownerFound: !!owner,
-        ownerName: owner?.name
-      });
-      if (!owner) {
-        const roll = await new Roll(`1${dieType}`).evaluate({ allowInteractive: false });
-        await this._createAutoRollChatMessage(combatant, roll);
-        await this._broadcastRollUpdate(match.matchId, combatant, roll.total);
-        return { combatant, roll, total: roll.total };
-      }
-      try {
-        console.log(`${MODULE.ID} | 📤 Sending activateMatch to ${owner.name} for ${combatant.name}`);
-        const timeout = game.settings.get(MODULE.ID, MODULE.SETTINGS.ROLLOFF_TIMEOUT) * 1000;
-        const result = await owner.query(`${MODULE.ID}.activateMatch`, { matchId: match.matchId, tournamentId: tournamentId }, { timeout: timeout });
-        console.log(`${MODULE.ID} | ✅ Got response from ${owner.name}`);
-        await this._broadcastRollUpdate(match.matchId, combatant, result.total);
-        return { combatant, roll: Roll.fromData(result.roll), total: result.total };
-      } catch (error) {
-        console.warn(`${MODULE.ID} | Player failed to respond, auto-rolling`, error);
-        const roll = await new Roll(`1${dieType}`).evaluate({ allowInteractive: false });
-        await this._createAutoRollChatMessage(combatant, roll);
-        await this._broadcastRollUpdate(match.matchId, combatant, roll.total);
-        return { combatant, roll, total: roll.total };
+    const context = { combat, rolloffId: tournamentId, combatants: [combatant1, combatant2], matchId: match.matchId, tournamentId, mode: 'bracket', round: round.roundNumber + 1, place: round.place, reroll };
+    const winsNeeded = this.activeRolloffs.get(tournamentId)?.winsNeeded ?? 1;
+    let winner;
+    let loser;
+    if (winsNeeded > 1) {
+      ({ winner, loser } = await this._conductSeries(context, winsNeeded));
+    } else {
+      const matchResults = await this._resolveMatch(context);
+      const maxTotal = Math.max(...matchResults.map((r) => r.total));
+      const winners = matchResults.filter((r) => r.total === maxTotal);
+      if (winners.length > 1) {
+        this.activeRolloffs.get(tournamentId)?.results.delete(match.matchId);
+        this._notifyTie(reroll + 1);
+        await this._conductBracketMatch(combat, combatant1, combatant2, match, tournamentId, round, reroll + 1);
+        return;
       }
-    });
-    const matchResults = await Promise.all(rollPromises);
-    const maxTotal = Math.max(...matchResults.map((r) => r.total));
-    const winners = matchResults.filter((r) => r.total === maxTotal);
-    if (winners.length > 1) {
-      ui.notifications.info(game.i18n.localize('Rollies.Messages.AnotherTie'));
-      await this._conductBracketMatch(combat, combatant1, combatant2, match, tournamentId);
-      return;
+      winner = winners[0].combatant;
+      loser = matchResults.find((r) => r.combatant.id !== winner.id).combatant;
     }
-    const winner = winners[0].combatant;
-    const loser = matchResults.find((r) => r.combatant.id !== winner.id).combatant;
-    const maxPairInitiative = Math.max(combatant1.initiative, combatant2.initiative);
-    const newInitiative = maxPairInitiative + 0.01;
-    await winner.update({ initiative: newInitiative });
-    await this._createWinnerChatMessage(winner, newInitiative);
     match.winner = { id: winner.id, name: winner.name, img: winner.img || winner.actor?.img };
     match.loser = { id: loser.id, name: loser.name, img: loser.img || loser.actor?.img };
     await this._broadcastMatchComplete(tournamentId, match.matchId, match.winner, match.loser);
   }
 
   /**
-   * Resolve a rolloff by determining the winner
+   * Conduct a free-for-all elimination rolloff for 3+ combatants
+   * Everyone still in rolls at once each round and the lowest roll drops out
+   * @param {Combat} combat - The combat encounter
+   * @param {Array<Combatant>} tiedCombatants - Array of tied combatants
+   * @param {string} tournamentId - Unique tournament identifier
+   * @returns {Promise<Array<Combatant>>} Combatants in finishing order
+   */
+  static async _conductEliminationRolloff(combat, tiedCombatants, tournamentId) {
+    const rolloffData = this.activeRolloffs.get(tournamentId);
+    const participants = tiedCombatants.map((c) => ({ id: c.id, name: c.name, img: c.img || c.actor?.img }));
+    console.log(`${MODULE.ID} | ⚔️ Starting elimination rolloff:`, tournamentId);
+    for (const combatant of tiedCombatants) {
+      for (const owner of this._getOwnerUsers(combatant)) {
+        try {
+          await this._queryUser(owner, `${MODULE.ID}.createEliminationDialog`, { combatId: combat.id, combatantId: combatant.id, tournamentId, participants, dieType: rolloffData.dieType, formula: rolloffData.formula, timeout: rolloffData.timeout }, { timeout: 5000 });
+          console.log(`${MODULE.ID} | ✅ Created dialog for ${owner.name}`);
+        } catch (error) {
+          console.warn(`${MODULE.ID} | Failed to create dialog for ${owner.name}`, error);
+        }
+      }
+    }
+    return await this._runEliminationRounds(combat, tiedCombatants, tournamentId, tournamentId, 1);
+  }
+
+  /**
+   * Run elimination rounds until the given combatants are fully ordered
+   * When several combatants share the lowest roll they drop out together and play off among themselves for their places
+   * @param {Combat} combat - The combat encounter
+   * @param {Array<Combatant>} combatants - Combatants still competing
+   * @param {string} tournamentId - Tournament identifier
+   * @param {string} roundPrefix - ID prefix for rounds in this contest
+   * @param {number} firstPlace - Best finishing place being decided
+   * @returns {Promise<Array<Combatant>>} Combatants in finishing order
+   * @private
+   */
+  static async _runEliminationRounds(combat, combatants, tournamentId, roundPrefix, firstPlace) {
+    let remaining = [...combatants];
+    const bottom = [];
+    let roundNumber = 0;
+    let roundId = `${roundPrefix}-e${roundNumber}`;
+    let reroll = 0;
+    while (remaining.length > 1) {
+      roundId = `${roundPrefix}-e${roundNumber++}`;
+      const results = await this._resolveMatch({ combat, rolloffId: tournamentId, combatants: remaining, matchId: roundId, tournamentId, mode: 'elimination', round: roundNumber, place: firstPlace, reroll });
+      const minTotal = Math.min(...results.map((r) => r.total));
+      const dropped = results.filter((r) => r.total === minTotal).map((r) => r.combatant);
+      if (dropped.length === remaining.length) {
+        reroll++;
+        this._notifyTie(reroll);
+        continue;
+      }
+      reroll = 0;
+      remaining = remaining.filter((c) => !dropped.includes(c));
+      const droppedPlace = firstPlace + remaining.length;
+      if (dropped.length === 1) await this._broadcastPlacement(tournamentId, roundId, dropped[0], droppedPlace);
+      const order = dropped.length > 1 ? await this._runEliminationRounds(combat, dropped, tournamentId, `${roundId}-p${droppedPlace}`, droppedPlace) : dropped;
+      bottom.unshift(...order);
+    }
+    await this._broadcastPlacement(tournamentId, roundId, remaining[0], firstPlace);
+    return [...remaining, ...bottom];
+  }
+
+  /**
+   * Resolve a rolloff into a finishing order
+   * Combatants sharing a total roll off again among themselves for their places
    * @param {Combat} combat - The combat encounter
    * @param {Array<CombatantRollResult>} results - Array of roll results
    * @param {string} rolloffId - Unique rolloff identifier
-   * @returns {Promise<void>}
+   * @param {string} matchId - ID of the roll that produced the results
+   * @param {number} [reroll=0] - How many times the roll that produced the results was a reroll
+   * @returns {Promise<Array<Combatant>>} Combatants in finishing order
    */
-  static async _resolveRolloff(combat, results, rolloffId) {
-    const maxTotal = Math.max(...results.map((r) => r.total));
-    const winners = results.filter((r) => r.total === maxTotal);
-    if (winners.length > 1) {
-      ui.notifications.info(game.i18n.localize('Rollies.Messages.AnotherTie'));
-      const tiedCombatants = winners.map((w) => w.combatant);
-      await this._conductPairRolloff(combat, tiedCombatants, `${rolloffId}-explode`);
-      return;
+  static async _resolveRolloff(combat, results, rolloffId, matchId, reroll = 0) {
+    const totals = [...new Set(results.map((r) => r.total))].sort((a, b) => b - a);
+    const standings = [];
+    for (const total of totals) {
+      const group = results.filter((r) => r.total === total).map((r) => r.combatant);
+      if (group.length === 1) {
+        standings.push(group[0]);
+        continue;
+      }
+      this._notifyTie(reroll + 1);
+      standings.push(...(await this._conductPairRolloff(combat, group, rolloffId, `${matchId}-x${standings.length}`, reroll + 1)));
     }
-    await this._applyRolloffWinner(combat, winners[0].combatant);
+    return standings;
   }
 
   /**
-   * Apply the rolloff winner by updating their initiative
-   * @param {Combat} _combat - The combat encounter
-   * @param {Combatant} winner - The winning combatant
-   * @returns {Promise<void>}
+   * Apply a rolloff finishing order by stepping initiative up from the tied value
+   * Last place keeps the tied initiative and each place above it gains another 0.01.
+   * Mid-combat rolloffs usually move only the newcomer, and the current turn always stays with the same combatant.
+   * @param {Combat} combat - The combat encounter
+   * @param {Array<Combatant>} standings - Combatants in finishing order
+   * @param {string} rolloffId - Unique rolloff identifier
+   * @returns {Promise<Array<RolloffPlacement>>} Placements in finishing order
    */
-  static async _applyRolloffWinner(_combat, winner) {
-    const newInitiative = winner.initiative + 0.01;
-    await winner.update({ initiative: newInitiative });
-    await this._createWinnerChatMessage(winner, newInitiative);
-    const winnerData = { name: winner.name, img: winner.img || winner.actor?.img, initiative: newInitiative };
+  static async _applyRolloffStandings(combat, standings, rolloffId) {
+    const rolloff = this.activeRolloffs.get(rolloffId);
+    const newcomerId = rolloff?.newcomerId;
+    const placements = this._getPlacements(combat, standings, newcomerId);
+    if (rolloff?.updateInitiative !== false) await this._applyPlacements(combat, placements, rolloffId);
+    if (rolloff?.card) {
+      rolloff.card.standings = placements.map(({ combatant, place, initiative }) => ({ name: combatant.name, place, initiative }));
+      await this._updateChatCard(rolloffId);
+    }
+    const standingsData = placements.map(({ combatant, place, initiative }) => ({ name: combatant.name, img: combatant.img || combatant.actor?.img, place, initiative }));
+    const winnerData = { ...standingsData[0], standings: standingsData, tournamentId: rolloffId };
     for (const user of game.users) {
       if (user.active) {
         try {
-          await user.query(`${MODULE.ID}.showWinner`, { winner: winnerData }, { timeout: 5000 });
+          await this._queryUser(user, `${MODULE.ID}.showWinner`, { winner: winnerData }, { timeout: 5000 });
         } catch (error) {
           console.warn(`${MODULE.ID} | Could not show winner to ${user.name}:`, error.message);
         }
       }
     }
+    return placements;
+  }
+
+  /**
+   * Get the placements for a finishing order, as initiative edits or as turn order only depending on the tie ordering setting
+   * @param {Combat} combat - The combat encounter
+   * @param {Array<Combatant>} standings - Combatants in finishing order
+   * @param {string|null} [newcomerId] - ID of the combatant that joined or re-rolled mid-combat, if any
+   * @returns {Array<RolloffPlacement>} Placements in finishing order
+   */
+  static _getPlacements(combat, standings, newcomerId) {
+    const placements = newcomerId ? this._getNewcomerPlacements(combat, standings, newcomerId) : this._getSteppedPlacements(standings);
+    if (!isTurnOrderMode()) return placements.map((p) => ({ ...p, sortInitiative: p.initiative }));
+    return placements.map(({ combatant, place, initiative }) => ({ combatant, place, initiative: combatant.initiative, sortInitiative: initiative }));
+  }
+
+  /**
+   * Write placements to combatants, keeping the current turn with the same combatant
+   * Initiative edits replace any recorded turn order; turn-order-only placements are recorded at `flags.rollies.turnOrder` and leave initiative alone.
+   * Placements from a rolloff are also recorded at `flags.rollies.rolloffResult` for the combat tracker badges
+   * @param {Combat} combat - The combat encounter
+   * @param {Array<RolloffPlacement>} placements - Placements in finishing order
+   * @param {string|null} [rolloffId=null] - The rolloff that produced the placements, if any
+   * @returns {Promise<void>}
+   */
+  static async _applyPlacements(combat, placements, rolloffId = null) {
+    const currentCombatantId = combat.started ? combat.combatant?.id : null;
+    for (const { combatant, place, initiative, sortInitiative } of placements) {
+      if (!rolloffId && getSortInitiative(combatant) === sortInitiative) continue;
+      const update = initiative === sortInitiative ? { initiative, [`flags.${MODULE.ID}.-=turnOrder`]: null } : { [`flags.${MODULE.ID}.turnOrder`]: { initiative, sortInitiative } };
+      if (rolloffId) update[`flags.${MODULE.ID}.rolloffResult`] = { rolloffId, place, initiative };
+      await combatant.update(update);
+    }
+    if (currentCombatantId && combat.combatant?.id !== currentCombatantId) {
+      const turn = combat.turns.findIndex((c) => c.id === currentCombatantId);
+      if (turn !== -1) await combat.update({ turn });
+    }
   }
 
   /**
-   * Get the owner user for a combatant
+   * Get placements that step initiative up from the tied value in 0.01 increments
+   * @param {Array<Combatant>} standings - Combatants in finishing order
+   * @returns {Array<object>} Placement data in finishing order
+   */
+  static _getSteppedPlacements(standings) {
+    const baseInitiative = Math.min(...standings.map((c) => getSortInitiative(c)));
+    return standings.map((combatant, index) => {
+      const initiative = Math.round((baseInitiative + (standings.length - 1 - index) * 0.01) * 100) / 100;
+      return { combatant, place: index + 1, initiative };
+    });
+  }
+
+  /**
+   * Get placements for a mid-combat rolloff
+   * A newcomer that won or finished last moves just above or below the tied value without passing a neighbouring initiative, leaving everyone else untouched.
+   * A newcomer that finished between two others splits a tie they still share, so the whole tie is stepped as in a pre-combat rolloff
+   * @param {Combat} combat - The combat encounter
+   * @param {Array<Combatant>} standings - Combatants in finishing order
+   * @param {string} newcomerId - ID of the combatant that joined or re-rolled mid-combat
+   * @returns {Array<object>} Placement data in finishing order
+   */
+  static _getNewcomerPlacements(combat, standings, newcomerId) {
+    const index = standings.findIndex((c) => c.id === newcomerId);
+    if (index > 0 && index < standings.length - 1) return this._getSteppedPlacements(standings);
+    const tiedInitiative = getSortInitiative(standings[0]);
+    const wonRolloff = index === 0;
+    const others = combat.combatants.map((c) => getSortInitiative(c)).filter((i) => i !== null && i !== tiedInitiative);
+    const neighbour = wonRolloff ? Math.min(...others.filter((i) => i > tiedInitiative)) : Math.max(...others.filter((i) => i < tiedInitiative));
+    const step = wonRolloff ? 0.01 : -0.01;
+    const newInitiative = Number.isFinite(neighbour) && Math.abs(neighbour - tiedInitiative) <= 0.01 ? (tiedInitiative + neighbour) / 2 : Math.round((tiedInitiative + step) * 100) / 100;
+    return standings.map((combatant, index) => ({ combatant, place: index + 1, initiative: combatant.id === newcomerId ? newInitiative : getSortInitiative(combatant) }));
+  }
+
+  /**
+   * Get the users who should be prompted to roll for a combatant
+   * Prefers the player whose assigned character is the actor, then the actor's designated roller
+   * (`flags.rollies.designatedRoller`, a user ID), then every active player owner.
+   * Combatants without an active player owner go to the GM when GM interactive rolls are enabled.
+   * @param {Combatant} combatant - The combatant
+   * @returns {Array<User>} Users to prompt, empty if the combatant should be auto-rolled
+   */
+  static _getOwnerUsers(combatant) {
+    const actor = combatant.actor;
+    const owners = actor ? game.users.filter((user) => user.active && !user.isGM && actor.testUserPermission(user, 'OWNER')) : [];
+    const assigned = owners.find((user) => user.character?.id === actor.id);
+    if (assigned) return [assigned];
+    const designated = owners.find((user) => user.id === actor?.getFlag(MODULE.ID, 'designatedRoller'));
+    if (designated) return [designated];
+    if (owners.length) return owners;
+    if (game.user.isGM && game.settings.get(MODULE.ID, MODULE.SETTINGS.GM_INTERACTIVE_ROLLS)) return [game.user];
+    return [];
+  }
+
+  /**
+   * Get the preferred user to roll for a combatant
    * @param {Combatant} combatant - The combatant
-   * @returns {User|null} The owner user or null if none found
+   * @returns {User|null} The preferred user or null if the combatant should be auto-rolled
    */
   static _getOwnerUser(combatant) {
-    if (!combatant.actor) return null;
-    return game.users.find((user) => user.active && !user.isGM && combatant.actor.testUserPermission(user, 'OWNER'));
+    return this._getOwnerUsers(combatant)[0] ?? null;
+  }
+
+  /**
+   * Post the chat card that reports a rolloff as it runs
+   * @param {string} rolloffId - The rolloff ID
+   * @returns {Promise<void>}
+   */
+  static async _createChatCard(rolloffId) {
+    const rolloff = this.activeRolloffs.get(rolloffId);
+    const participants = rolloff.combatants.map((c) => ({ id: c.id, name: c.name, img: c.img || c.actor?.img }));
+    rolloff.card = { messageId: null, mode: rolloff.mode, participants, matches: rolloff.card?.matches ?? [], standings: null, cancelled: false, rolls: [] };
+    await this._postChatCard(rolloff.card);
+  }
+
+  /**
+   * Create the chat message showing a chat card
+   * @param {ChatCardData} card - The chat card; its message ID is set once posted
+   * @returns {Promise<void>}
+   */
+  static async _postChatCard(card) {
+    const content = await this._renderChatCard(card);
+    const message = await ChatMessage.create({ content, speaker: ChatMessage.getSpeaker(), style: CONST.CHAT_MESSAGE_STYLES.OTHER });
+    card.messageId = message.id;
   }
 
   /**
-   * Create a chat message for an automatic roll
-   * @param {Combatant} combatant - The combatant who was auto-rolled for
-   * @param {Roll} roll - The Roll object
-   * @returns {Promise<ChatMessage>} The created chat message
+   * Add a match to the chat card with every combatant waiting to roll
+   * A match left unfinished by a GM reload is replaced; a match is marked as a reroll when it replays a tie: a repeated bracket match, a pair re-roll, or an elimination round after everyone tied.
+   * Rerolls are numbered, and a match past the reroll limit names the fallback deciding it
+   * @param {MatchContext} context - The match being resolved
+   * @returns {Promise<void>}
+   */
+  static async _startCardMatch(context) {
+    const card = this.activeRolloffs.get(context.rolloffId)?.card;
+    if (!card) return;
+    const interrupted = card.matches.findLast((m) => m.matchId === context.matchId && m.entries.some((e) => e.pending));
+    if (interrupted) card.matches.splice(card.matches.indexOf(interrupted), 1);
+    const isReroll = !!context.reroll || card.matches.some((m) => m.matchId === context.matchId) || (context.mode === 'pair' && this._getDialogMatchId(context) !== context.rolloffId) || (context.mode === 'elimination' && !!card.matches.at(-1)?.entries.every((e) => e.isTied));
+    const fallback = context.fallback ? getRerollFallbacks()[game.settings.get(MODULE.ID, MODULE.SETTINGS.REROLL_FALLBACK)] : null;
+    let label = game.i18n.localize('Rollies.ChatCard.Rolloff');
+    if (context.round && context.place === 1) label = game.i18n.format('Rollies.PlayerDialog.Round', { round: context.round });
+    else if (context.round) label = game.i18n.format('Rollies.PlayerDialog.PlayoffRound', { place: context.place, round: context.round });
+    if (context.series) label = game.i18n.format('Rollies.ChatCard.Game', { label, game: context.series.game });
+    const entries = context.combatants.map((c) => ({ combatantId: c.id, name: c.name, total: null, rollIndex: null, rolled: false, auto: false, pending: true, isTop: false, isTied: false, isDropped: false }));
+    card.matches.push({ matchId: context.matchId, label, isReroll, reroll: context.reroll ?? 0, fallback, entries });
+    await this._updateChatCard(context.rolloffId);
+  }
+
+  /**
+   * Show the series score after a game of a best-of series on the chat card
+   * @param {MatchContext} context - The resolved game
+   * @param {Array<{combatantId: string, name: string, wins: number}>} score - Games won by each combatant so far
+   * @returns {Promise<void>}
+   */
+  static async _setCardMatchScore(context, score) {
+    const match = this.activeRolloffs.get(context.rolloffId)?.card?.matches.findLast((m) => m.matchId === context.matchId);
+    if (!match) return;
+    match.score = score.map((s) => `${s.name} ${s.wins}`).join(' – ');
+    await this._updateChatCard(context.rolloffId);
+  }
+
+  /**
+   * Show a combatant's roll on the chat card and attach it to the chat message
+   * @param {MatchContext} context - The match being resolved
+   * @param {Combatant} combatant - The combatant who rolled
+   * @param {Roll} roll - The evaluated roll
+   * @param {boolean} auto - Whether the roll was made automatically
+   * @returns {Promise<void>}
+   */
+  static async _addRollToCard(context, combatant, roll, auto) {
+    const card = this.activeRolloffs.get(context.rolloffId)?.card;
+    const entry = card?.matches.findLast((m) => m.matchId === context.matchId)?.entries.find((e) => e.combatantId === combatant.id);
+    if (!entry) return;
+    card.rolls.push(roll);
+    Object.assign(entry, { total: roll.total, rollIndex: card.rolls.length - 1, rolled: true, auto, pending: false });
+    await this._updateChatCard(context.rolloffId);
+  }
+
+  /**
+   * Fill in a match's remaining totals on the chat card and mark its outcome
+   * Covers strategies that decide a match without rolling, such as comparing dexterity, and winners declared by the GM
+   * @param {MatchContext} context - The resolved match
+   * @param {Array<CombatantRollResult>} results - Results for every combatant
+   * @returns {Promise<void>}
+   */
+  static async _finishCardMatch(context, results) {
+    const card = this.activeRolloffs.get(context.rolloffId)?.card;
+    const match = card?.matches.findLast((m) => m.matchId === context.matchId);
+    if (!match) return;
+    for (const entry of match.entries) {
+      const result = results.find((r) => r.combatant.id === entry.combatantId);
+      if (!result || (!entry.pending && entry.total === result.total)) continue;
+      if (result.roll) card.rolls.push(result.roll);
+      Object.assign(entry, { total: result.total, rollIndex: result.roll ? card.rolls.length - 1 : null, rolled: false, pending: false });
+    }
+    const totals = match.entries.map((e) => e.total);
+    const maxTotal = Math.max(...totals);
+    const minTotal = Math.min(...totals);
+    const topCount = totals.filter((t) => t === maxTotal).length;
+    for (const entry of match.entries) {
+      if (context.mode === 'elimination') {
+        entry.isTied = minTotal === maxTotal;
+        entry.isDropped = !entry.isTied && entry.total === minTotal;
+      } else {
+        entry.isTop = entry.total === maxTotal && topCount === 1;
+        entry.isTied = entry.total === maxTotal && topCount > 1;
+      }
+    }
+    await this._updateChatCard(context.rolloffId);
+  }
+
+  /**
+   * Queue a chat card update so concurrent rolls are written in order
+   * @param {string} rolloffId - The rolloff ID
+   * @returns {Promise<void>}
+   */
+  static _updateChatCard(rolloffId) {
+    const rolloff = this.activeRolloffs.get(rolloffId);
+    if (!rolloff?.card) return Promise.resolve();
+    const card = rolloff.card;
+    rolloff.cardUpdate = (rolloff.cardUpdate ?? Promise.resolve()).then(() => this._writeChatCard(card)).then(() => RolloffControlPanel.refresh()).catch((error) => console.warn(`${MODULE.ID} | Failed to update rolloff chat card`, error));
+    return rolloff.cardUpdate;
+  }
+
+  /**
+   * Re-render a chat card into its chat message, keeping the rolls attached for dice tooltips
+   * @param {ChatCardData} card - The chat card
+   * @returns {Promise<void>}
    */
-  static async _createAutoRollChatMessage(combatant, roll) {
-    const content = `<div class="rollies-roll-message">
-      <strong>${combatant.name}</strong> ${game.i18n.localize('Rollies.Chat.RolledFor')} ${game.i18n.localize('Rollies.Chat.Rolloff')}:
-      ${roll.total} (${game.i18n.localize('Rollies.Chat.AutoRoll')})
-    </div>`;
-    return await ChatMessage.create({ content: content, speaker: ChatMessage.getSpeaker({ actor: combatant.actor }), style: CONST.CHAT_MESSAGE_STYLES.OTHER, rolls: [roll] });
+  static async _writeChatCard(card) {
+    const message = game.messages.get(card.messageId);
+    if (!message) return;
+    const content = await this._renderChatCard(card);
+    await message.update({ content, rolls: card.rolls.map((r) => r.toJSON()) });
   }
 
   /**
-   * Create a chat message announcing the rolloff winner
-   * @param {Combatant} winner - The winning combatant
-   * @param {number} _newInitiative - The winner's new initiative value
-   * @returns {Promise<ChatMessage>} The created chat message
+   * Render the chat card template
+   * @param {ChatCardData} card - The chat card
+   * @returns {Promise<string>} The rendered HTML
    */
-  static async _createWinnerChatMessage(winner, _newInitiative) {
-    const content = `<div class="rollies-winner-message">
-    <h3>${game.i18n.localize('Rollies.Chat.WinnerAnnouncement')}</h3>
-    <p><strong>${winner.name}</strong> ${game.i18n.localize('Rollies.Chat.WinsRolloff')}</p>
-  </div>`;
-    return await ChatMessage.create({ content: content, speaker: ChatMessage.getSpeaker(), style: CONST.CHAT_MESSAGE_STYLES.OTHER });
+  static async _renderChatCard(card) {
+    const matches = card.matches.map((match) => ({
+      ...match,
+      entries: match.entries.map((entry) => ({ ...entry, result: card.rolls[entry.rollIndex]?.toAnchor().outerHTML ?? entry.total }))
+    }));
+    const context = {
+      modeLabel: game.i18n.localize(`Rollies.ChatCard.Modes.${card.mode.capitalize()}`),
+      participants: card.participants,
+      matches,
+      standings: card.standings,
+      winnerName: card.standings?.[0]?.name,
+      cancelled: card.cancelled
+    };
+    return await foundry.applications.handlebars.renderTemplate('modules/rollies/templates/chat-card.hbs', context);
   }
 
   /**
    * Notify GM of ties via dialog
    * @param {Combat} combat - The combat encounter
    * @param {Array<Array<Combatant>>} tieGroups - Array of tie groups
+   * @param {RolloffOptions} [options={}] - Options applied to every rolloff started from the dialog
    */
-  static _notifyGMOfTies(combat, tieGroups) {
-    const dialog = new GMNotificationDialog(combat, tieGroups);
+  static _notifyGMOfTies(combat, tieGroups, options = {}) {
+    const dialog = new GMNotificationDialog(combat, tieGroups, options);
     dialog.render(true);
   }
 
+  /**
+   * Start a rolloff between the given combatants and wait for the finishing order
+   * @param {Combat} combat - The combat encounter
+   * @param {Array<Combatant>} combatants - The combatants taking part
+   * @param {RolloffOptions} [options={}] - Rolloff options
+   * @returns {Promise<Array<RolloffPlacement>|null>} Placements in finishing order, or null if the rolloff was cancelled or failed
+   */
+  static async startRolloff(combat, combatants, options = {}) {
+    return await this._startRolloffForGroup(combat, combatants, options);
+  }
+
+  /**
+   * Find groups of combatants sharing an initiative, among those that take part in rolloffs
+   * @param {Combat} combat - The combat encounter
+   * @returns {Array<Array<Combatant>>} Tie groups of two or more combatants
+   */
+  static findTies(combat) {
+    const rolledCombatants = this._getRelevantCombatants(combat).filter((c) => c.initiative !== null && c.initiative !== undefined);
+    return this._findTieGroups(rolledCombatants);
+  }
+
+  /**
+   * Look for ties again, including ones already handled or skipped
+   * Ties are rolled off or shown in the notification dialog according to the auto-trigger setting, even after combat has started
+   * @param {Combat} combat - The combat encounter
+   * @returns {boolean} Whether any tie was found
+   */
+  static recheckTies(combat) {
+    const tieGroups = this.findTies(combat).filter((group) => !this._isInActiveRolloff(group));
+    if (!tieGroups.length) {
+      ui.notifications.info(game.i18n.localize('Rollies.Messages.NoTies'));
+      return false;
+    }
+    if (!this.processedTies.has(combat.id)) this.processedTies.set(combat.id, new Set());
+    tieGroups.forEach((group) => this.processedTies.get(combat.id).add(this._getTieKey(group)));
+    this._handleInitiativeTies(combat, tieGroups);
+    return true;
+  }
+
+  /**
+   * Settle a tie with a finishing order chosen by the GM instead of a rolloff
+   * Initiative is stepped as it would be after a rolloff, and the order is posted to chat
+   * @param {Combat} combat - The combat encounter
+   * @param {Array<Combatant>} standings - The tied combatants in the chosen finishing order
+   * @param {RolloffOptions} [options={}] - Rolloff options; only `newcomerId` applies
+   * @returns {Promise<Array<RolloffPlacement>>} Placements in finishing order
+   */
+  static async applyManualOrder(combat, standings, options = {}) {
+    console.log(`${MODULE.ID} | ✋ GM chose the finishing order:`, standings.map((c) => c.name));
+    const placements = this._getPlacements(combat, standings, options.newcomerId);
+    await this._applyPlacements(combat, placements);
+    const participants = standings.map((c) => ({ id: c.id, name: c.name, img: c.img || c.actor?.img }));
+    const cardStandings = placements.map(({ combatant, place, initiative }) => ({ name: combatant.name, place, initiative }));
+    await this._postChatCard({ messageId: null, mode: 'manual', participants, matches: [], standings: cardStandings, cancelled: false, rolls: [] });
+    return placements;
+  }
+
   /**
    * Manually start rolloffs for tie groups
    * Called when GM manually triggers rolloffs from notification dialog
    * @param {Combat} combat - The combat encounter
    * @param {Array<Array<Combatant>>} tieGroups - Array of tie groups
+   * @param {RolloffOptions} [options={}] - Options applied to every rolloff started
    */
-  static manuallyStartRolloffs(combat, tieGroups) {
-    tieGroups.forEach((group) => this._startRolloffForGroup(combat, group));
+  static manuallyStartRolloffs(combat, tieGroups, options = {}) {
+    tieGroups.forEach((group) => this._startRolloffForGroup(combat, group, options));
   }
 }
@@ -0,0 +1,115 @@
+/**
+ * Rolloff rules that give combatants advantage, disadvantage or a flat bonus
+ * @module rules
+ */
+
+import { MODULE, createRolloffRoll } from './config.mjs';
+
+/**
+ * A configured rolloff rule
+ * @typedef {object} RolloffRule
+ * @property {string} id - Unique rule identifier
+ * @property {string} source - What the rule matches: 'item' (item name), 'effect' (active effect name or status ID) or 'flag' (actor property path)
+ * @property {string} match - Item or effect name, status ID, or property path (e.g., 'flags.rollies.rolloffAdvantage')
+ * @property {string} effect - What the rule grants: 'advantage', 'disadvantage' or 'bonus'
+ * @property {number} bonus - Flat bonus added to the roll, for bonus rules
+ * @property {string} label - Name shown to players, defaults to the matched item or effect name
+ */
+
+/**
+ * A rule that applies to a combatant
+ * @typedef {object} MatchedRule
+ * @property {RolloffRule} rule - The rule
+ * @property {string} source - Display name of what matched
+ */
+
+/**
+ * A combatant's roll formula with its rules applied
+ * @typedef {object} RuledFormula
+ * @property {string} formula - The roll formula
+ * @property {Array<string>} reasons - Localized reasons the formula differs from the rolloff formula
+ */
+
+/**
+ * Rules every world starts with, honoring the module's own actor flags
+ * @type {Array<RolloffRule>}
+ */
+export const DEFAULT_RULES = [
+  { id: 'flagAdvantage', source: 'flag', match: `flags.${MODULE.ID}.rolloffAdvantage`, effect: 'advantage', bonus: 0, label: '' },
+  { id: 'flagDisadvantage', source: 'flag', match: `flags.${MODULE.ID}.rolloffDisadvantage`, effect: 'disadvantage', bonus: 0, label: '' }
+];
+
+/**
+ * Get the configured rolloff rules
+ * @returns {Array<RolloffRule>} The rules
+ */
+export function getRolloffRules() {
+  return game.settings.get(MODULE.ID, MODULE.SETTINGS.ROLLOFF_RULES) ?? [];
+}
+
+/**
+ * Find what a rule matches on an actor
+ * Item and effect names are compared without regard to case
+ * @param {RolloffRule} rule - The rule
+ * @param {Actor} actor - The actor
+ * @returns {string|null} Display name of what matched, or null if the rule does not apply
+ */
+function matchRule(rule, actor) {
+  const match = rule.match?.trim();
+  if (!match) return null;
+  const name = match.toLowerCase();
+  if (rule.source === 'item') return actor.items.find((i) => i.name.toLowerCase() === name)?.name ?? null;
+  if (rule.source === 'effect') return actor.appliedEffects.find((e) => e.name.toLowerCase() === name || e.statuses.has(match))?.name ?? null;
+  if (rule.source === 'flag') return foundry.utils.getProperty(actor, match) ? match : null;
+  return null;
+}
+
+/**
+ * Get the rules that apply to a combatant
+ * @param {Combatant} combatant - The combatant
+ * @returns {Array<MatchedRule>} Matching rules, in configured order
+ */
+export function getMatchedRules(combatant) {
+  const actor = combatant?.actor;
+  if (!actor) return [];
+  const matched = [];
+  for (const rule of getRolloffRules()) {
+    const source = matchRule(rule, actor);
+    if (source) matched.push({ rule, source: rule.label || source });
+  }
+  return matched;
+}
+
+/**
+ * Apply the rules matching a combatant to a roll formula
+ * Advantage doubles the first die and keeps the highest, disadvantage keeps the lowest; having both cancels out.
+ * A first die that already has modifiers or no fixed number of dice is left as it is, and the player is told the rule could not be applied.
+ * The formula's `@` references are filled in from the combatant's actor first.
+ * @param {string} formula - The rolloff formula
+ * @param {Combatant} combatant - The rolling combatant
+ * @returns {RuledFormula} The formula to roll, and why it changed
+ */
+export function applyRolloffRules(formula, combatant) {
+  const matched = getMatchedRules(combatant);
+  if (!matched.length) return { formula, reasons: [] };
+  const advantage = matched.some(({ rule }) => rule.effect === 'advantage');
+  const disadvantage = matched.some(({ rule }) => rule.effect === 'disadvantage');
+  const roll = createRolloffRoll(formula, combatant);
+  const die = roll.terms.find((t) => t instanceof foundry.dice.terms.Die);
+  const applicable = !!die && Number.isInteger(die.number) && !die.modifiers.length;
+  if (advantage !== disadvantage && applicable) {
+    const count = die.number;
+    die.number = count * 2;
+    die.modifiers.push(`${advantage ? 'kh' : 'kl'}${count}`);
+  }
+  const reasons = matched.map(({ rule, source }) => {
+    if (rule.effect === 'bonus') return game.i18n.format('Rollies.Rules.Reasons.Bonus', { bonus: rule.bonus >= 0 ? `+${rule.bonus}` : rule.bonus, source });
+    if (advantage !== disadvantage && !applicable) return game.i18n.format('Rollies.Rules.Reasons.NotApplicable', { effect: game.i18n.localize(`Rollies.Rules.Effects.${rule.effect.capitalize()}`), source });
+    return game.i18n.format(`Rollies.Rules.Reasons.${rule.effect.capitalize()}`, { source });
+  });
+  if (advantage && disadvantage) reasons.push(game.i18n.localize('Rollies.Rules.Reasons.Cancelled'));
+  const bonus = matched.reduce((sum, { rule }) => sum + (rule.effect === 'bonus' ? Number(rule.bonus) || 0 : 0), 0);
+  let ruled = Roll.getFormula(roll.terms);
+  if (bonus) ruled += bonus > 0 ? ` + ${bonus}` : ` - ${-bonus}`;
+  return { formula: ruled, reasons };
+}
@@ -3,7 +3,14 @@
  * @module settings
  */
 
-import { MODULE, getDieTypes } from './config.mjs';
+import { MODULE, getDieTypes, getMatchFormats, getRerollFallbacks, isValidFormula } from './config.mjs';
+import { RolloffManager } from './rolloff-manager.mjs';
+import { LeaderboardDialog } from './dialogs/leaderboard.mjs';
+import { RolloffControlPanel } from './dialogs/control-panel.mjs';
+import { RolloffRulesDialog } from './dialogs/rolloff-rules.mjs';
+import { ParticipantFilterDialog } from './dialogs/participant-filter.mjs';
+import { DEFAULT_RULES } from './rules.mjs';
+import { DEFAULT_PARTICIPANT_FILTER } from './participants.mjs';
 
 /**
  * Register all module settings with Foundry VTT
@@ -19,6 +26,15 @@ export function registerSettings() {
     default: true
   });
 
+  game.settings.register(MODULE.ID, MODULE.SETTINGS.MID_COMBAT_ROLLOFFS, {
+    name: game.i18n.localize('Rollies.Settings.MidCombatRolloffs.Name'),
+    hint: game.i18n.localize('Rollies.Settings.MidCombatRolloffs.Hint'),
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: false
+  });
+
   game.settings.register(MODULE.ID, MODULE.SETTINGS.ROLLOFF_DIE, {
     name: game.i18n.localize('Rollies.Settings.RolloffDie.Name'),
     hint: game.i18n.localize('Rollies.Settings.RolloffDie.Hint'),
@@ -29,9 +45,105 @@ export function registerSettings() {
     default: 'd20'
   });
 
+  game.settings.register(MODULE.ID, MODULE.SETTINGS.ROLLOFF_FORMULA, {
+    name: game.i18n.localize('Rollies.Settings.RolloffFormula.Name'),
+    hint: game.i18n.localize('Rollies.Settings.RolloffFormula.Hint'),
+    scope: 'world',
+    config: true,
+    type: new foundry.data.fields.StringField({ required: true, blank: true, trim: true, validate: isValidFormula, validationError: 'is not a valid roll formula' }),
+    default: ''
+  });
+
+  game.settings.register(MODULE.ID, MODULE.SETTINGS.TIE_BREAKER, {
+    name: game.i18n.localize('Rollies.Settings.TieBreaker.Name'),
+    hint: game.i18n.localize('Rollies.Settings.TieBreaker.Hint'),
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: RolloffManager.getStrategyChoices(),
+    default: 'roll'
+  });
+
+  game.settings.register(MODULE.ID, MODULE.SETTINGS.MAX_REROLLS, {
+    name: game.i18n.localize('Rollies.Settings.MaxRerolls.Name'),
+    hint: game.i18n.localize('Rollies.Settings.MaxRerolls.Hint'),
+    scope: 'world',
+    config: true,
+    type: Number,
+    default: 0,
+    range: { min: 0, max: 10, step: 1 }
+  });
+
+  game.settings.register(MODULE.ID, MODULE.SETTINGS.REROLL_FALLBACK, {
+    name: game.i18n.localize('Rollies.Settings.RerollFallback.Name'),
+    hint: game.i18n.localize('Rollies.Settings.RerollFallback.Hint'),
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: getRerollFallbacks(),
+    default: 'dexterity'
+  });
+
+  game.settings.register(MODULE.ID, MODULE.SETTINGS.DIE_ESCALATION, {
+    name: game.i18n.localize('Rollies.Settings.DieEscalation.Name'),
+    hint: game.i18n.localize('Rollies.Settings.DieEscalation.Hint'),
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: false
+  });
+
+  game.settings.register(MODULE.ID, MODULE.SETTINGS.MULTI_TIE_MODE, {
+    name: game.i18n.localize('Rollies.Settings.MultiTieMode.Name'),
+    hint: game.i18n.localize('Rollies.Settings.MultiTieMode.Hint'),
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: {
+      bracket: game.i18n.localize('Rollies.Settings.MultiTieMode.Bracket'),
+      elimination: game.i18n.localize('Rollies.Settings.MultiTieMode.Elimination')
+    },
+    default: 'bracket'
+  });
+
+  game.settings.register(MODULE.ID, MODULE.SETTINGS.SEED_ATTRIBUTE_PATH, {
+    name: game.i18n.localize('Rollies.Settings.SeedAttributePath.Name'),
+    hint: game.i18n.localize('Rollies.Settings.SeedAttributePath.Hint'),
+    scope: 'world',
+    config: true,
+    type: String,
+    default: ''
+  });
+
+  game.settings.register(MODULE.ID, MODULE.SETTINGS.SEED_ATTRIBUTE_LABEL, {
+    name: game.i18n.localize('Rollies.Settings.SeedAttributeLabel.Name'),
+    hint: game.i18n.localize('Rollies.Settings.SeedAttributeLabel.Hint'),
+    scope: 'world',
+    config: true,
+    type: String,
+    default: ''
+  });
+
+  game.settings.register(MODULE.ID, MODULE.SETTINGS.MATCH_FORMAT, {
+    name: game.i18n.localize('Rollies.Settings.MatchFormat.Name'),
+    hint: game.i18n.localize('Rollies.Settings.MatchFormat.Hint'),
+    scope: 'world',
+    config: true,
+    type: Number,
+    choices: getMatchFormats(),
+    default: 1
+  });
+
   game.settings.register(MODULE.ID, MODULE.SETTINGS.INCLUDE_NPCS, {
-    name: game.i18n.localize('Rollies.Settings.IncludeNPCs.Name'),
-    hint: game.i18n.localize('Rollies.Settings.IncludeNPCs.Hint'),
+    scope: 'world',
+    config: false,
+    type: Boolean,
+    default: false
+  });
+
+  game.settings.register(MODULE.ID, MODULE.SETTINGS.GM_INTERACTIVE_ROLLS, {
+    name: game.i18n.localize('Rollies.Settings.GMInteractiveRolls.Name'),
+    hint: game.i18n.localize('Rollies.Settings.GMInteractiveRolls.Hint'),
     scope: 'world',
     config: true,
     type: Boolean,
@@ -48,6 +160,19 @@ export function registerSettings() {
     range: { min: 3, max: 60, step: 1 }
   });
 
+  game.settings.register(MODULE.ID, MODULE.SETTINGS.TIE_ORDERING, {
+    name: game.i18n.localize('Rollies.Settings.TieOrdering.Name'),
+    hint: game.i18n.localize('Rollies.Settings.TieOrdering.Hint'),
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: {
+      initiative: game.i18n.localize('Rollies.Settings.TieOrdering.Initiative'),
+      turnOrder: game.i18n.localize('Rollies.Settings.TieOrdering.TurnOrder')
+    },
+    default: 'initiative'
+  });
+
   game.settings.register(MODULE.ID, MODULE.SETTINGS.SHOW_WINNER_ANNOUNCEMENT, {
     name: game.i18n.localize('Rollies.Settings.ShowWinnerAnnouncement.Name'),
     hint: game.i18n.localize('Rollies.Settings.ShowWinnerAnnouncement.Hint'),
@@ -56,4 +181,52 @@ export function registerSettings() {
     type: Boolean,
     default: true
   });
+
+  game.settings.registerMenu(MODULE.ID, MODULE.SETTINGS.LEADERBOARD, {
+    name: game.i18n.localize('Rollies.Settings.Leaderboard.Name'),
+    label: game.i18n.localize('Rollies.Settings.Leaderboard.Label'),
+    hint: game.i18n.localize('Rollies.Settings.Leaderboard.Hint'),
+    icon: 'fas fa-trophy',
+    type: LeaderboardDialog,
+    restricted: false
+  });
+
+  game.settings.registerMenu(MODULE.ID, MODULE.SETTINGS.CONTROL_PANEL, {
+    name: game.i18n.localize('Rollies.Settings.ControlPanel.Name'),
+    label: game.i18n.localize('Rollies.Settings.ControlPanel.Label'),
+    hint: game.i18n.localize('Rollies.Settings.ControlPanel.Hint'),
+    icon: 'fas fa-gamepad',
+    type: RolloffControlPanel,
+    restricted: true
+  });
+
+  game.settings.register(MODULE.ID, MODULE.SETTINGS.ROLLOFF_RULES, {
+    scope: 'world',
+    config: false,
+    type: Array,
+    default: DEFAULT_RULES
+  });
+  game.settings.registerMenu(MODULE.ID, MODULE.SETTINGS.RULES_CONFIG, {
+    name: game.i18n.localize('Rollies.Settings.RulesConfig.Name'),
+    label: game.i18n.localize('Rollies.Settings.RulesConfig.Label'),
+    hint: game.i18n.localize('Rollies.Settings.RulesConfig.Hint'),
+    icon: 'fas fa-scale-balanced',
+    type: RolloffRulesDialog,
+    restricted: true
+  });
+
+  game.settings.register(MODULE.ID, MODULE.SETTINGS.PARTICIPANT_FILTER, {
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: DEFAULT_PARTICIPANT_FILTER
+  });
+  game.settings.registerMenu(MODULE.ID, MODULE.SETTINGS.PARTICIPANT_CONFIG, {
+    name: game.i18n.localize('Rollies.Settings.ParticipantConfig.Name'),
+    label: game.i18n.localize('Rollies.Settings.ParticipantConfig.Label'),
+    hint: game.i18n.localize('Rollies.Settings.ParticipantConfig.Hint'),
+    icon: 'fas fa-filter',
+    type: ParticipantFilterDialog,
+    restricted: true
+  });
 }
@@ -0,0 +1,85 @@
+/**
+ * Per-actor rolloff statistics
+ * Stored on the world actor at `flags.rollies.stats`, so every token of an unlinked actor shares one record
+ * @module stats
+ */
+
+import { MODULE } from './config.mjs';
+
+/**
+ * Rolloff statistics for one actor
+ * @typedef {object} ActorStats
+ * @property {number} wins - Rolloffs finished in first place
+ * @property {number} losses - Rolloffs finished below first place
+ * @property {number} rolls - Rolloff rolls made
+ * @property {number} rollTotal - Sum of every rolloff roll, for the average
+ * @property {number} autoRolls - Rolls made automatically because nobody rolled in time
+ * @property {number} streak - Current run of consecutive wins
+ * @property {number} bestStreak - Longest run of consecutive wins
+ */
+
+/**
+ * Statistics for an actor that has never taken part in a rolloff
+ * @type {ActorStats}
+ */
+const EMPTY_STATS = { wins: 0, losses: 0, rolls: 0, rollTotal: 0, autoRolls: 0, streak: 0, bestStreak: 0 };
+
+/**
+ * Get an actor's rolloff statistics
+ * @param {Actor} actor - The actor
+ * @returns {ActorStats} The actor's statistics
+ */
+export function getActorStats(actor) {
+  return { ...EMPTY_STATS, ...actor.getFlag(MODULE.ID, 'stats') };
+}
+
+/**
+ * Record the outcome of a completed rolloff on each participant's actor
+ * Rolls are taken from the rolloff's chat card, so matches replayed after a resume still count once
+ * @param {Array<import('./rolloff-manager.mjs').RolloffPlacement>} placements - Placements in finishing order
+ * @param {import('./rolloff-manager.mjs').ChatCardData|null} card - The rolloff's chat card
+ * @returns {Promise<void>}
+ */
+export async function recordRolloffStats(placements, card) {
+  const entries = card?.matches.flatMap((m) => m.entries).filter((e) => e.rolled) ?? [];
+  for (const { combatant, place } of placements) {
+    const actor = game.actors.get(combatant.actorId);
+    if (!actor) continue;
+    const stats = getActorStats(actor);
+    const rolls = entries.filter((e) => e.combatantId === combatant.id);
+    stats.rolls += rolls.length;
+    stats.rollTotal += rolls.reduce((sum, e) => sum + e.total, 0);
+    stats.autoRolls += rolls.filter((e) => e.auto).length;
+    if (place === 1) {
+      stats.wins++;
+      stats.streak++;
+      stats.bestStreak = Math.max(stats.bestStreak, stats.streak);
+    } else {
+      stats.losses++;
+      stats.streak = 0;
+    }
+    try {
+      await actor.setFlag(MODULE.ID, 'stats', stats);
+    } catch (error) {
+      console.warn(`${MODULE.ID} | Failed to record rolloff stats for ${actor.name}`, error);
+    }
+  }
+}
+
+/**
+ * Clear an actor's rolloff statistics
+ * @param {Actor} actor - The actor
+ * @returns {Promise<void>}
+ */
+export async function resetActorStats(actor) {
+  if (actor.getFlag(MODULE.ID, 'stats')) await actor.unsetFlag(MODULE.ID, 'stats');
+}
+
+/**
+ * Clear the rolloff statistics of every actor in the world
+ * @returns {Promise<void>}
+ */
+export async function resetAllStats() {
+  const updates = game.actors.filter((a) => a.getFlag(MODULE.ID, 'stats')).map((a) => ({ _id: a.id, [`flags.${MODULE.ID}.-=stats`]: null }));
+  if (updates.length) await Actor.implementation.updateDocuments(updates);
+}
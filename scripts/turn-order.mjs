@@ -0,0 +1,49 @@
+/**
+ * Turn ordering from rolloff results that leaves rolled initiative unchanged
+ * @module turn-order
+ */
+
+import { MODULE } from './config.mjs';
+
+/**
+ * Turn order recorded on a combatant at `flags.rollies.turnOrder`
+ * @typedef {object} TurnOrderFlag
+ * @property {number} initiative - The initiative the combatant had when the order was recorded; the order is ignored once initiative changes
+ * @property {number} sortInitiative - Value the combatant is sorted by in place of its initiative
+ */
+
+/**
+ * Check whether rolloff results are applied as turn order instead of initiative edits
+ * @returns {boolean} Whether the tie ordering setting keeps rolled initiative
+ */
+export function isTurnOrderMode() {
+  return game.settings.get(MODULE.ID, MODULE.SETTINGS.TIE_ORDERING) === 'turnOrder';
+}
+
+/**
+ * Get the value a combatant is sorted by in the turn order
+ * @param {Combatant} combatant - The combatant
+ * @returns {number|null} The recorded sort value while the combatant's initiative is unchanged, otherwise its initiative
+ */
+export function getSortInitiative(combatant) {
+  const order = combatant.getFlag(MODULE.ID, 'turnOrder');
+  if (order && order.initiative === combatant.initiative && Number.isNumeric(order.sortInitiative)) return order.sortInitiative;
+  return combatant.initiative;
+}
+
+/**
+ * Sort combatants by their recorded turn order
+ * Wraps the combat document's `_sortCombatants`, deferring to it whenever neither combatant has a recorded order so system sorting rules still apply
+ */
+export function registerTurnOrder() {
+  const CombatClass = CONFIG.Combat.documentClass;
+  const sortCombatants = CombatClass.prototype._sortCombatants;
+  CombatClass.prototype._sortCombatants = function (a, b) {
+    const ia = getSortInitiative(a);
+    const ib = getSortInitiative(b);
+    const ordered = ia !== a.initiative || ib !== b.initiative;
+    if (ordered && Number.isNumeric(ia) && Number.isNumeric(ib) && ia !== ib) return ib - ia;
+    return sortCombatants.call(this, a, b);
+  };
+  console.log(`${MODULE.ID} | 🔀 Registered rolloff turn order sorting for ${CombatClass.name}`);
+}